@@ -1,118 +1,1278 @@
 // assignmentManager.js
 "use strict";
 
+// Allowed status changes: released → working → final reminder → submitted → Pass/Fail
+const ASSIGNMENT_TRANSITIONS = {
+  released: ["working", "final reminder", "submitted"],
+  working: ["final reminder", "submitted"],
+  "final reminder": ["working", "submitted"],
+  submitted: ["Pass", "Fail"],
+  Pass: [],
+  Fail: [],
+};
+
+// Extra moves allowed while an assignment still has resubmission attempts left
+const RESUBMISSION_TRANSITIONS = {
+  Pass: ["working", "submitted"],
+  Fail: ["working", "submitted"],
+};
+
+// Which graded attempt counts: the highest, the most recent, or the mean of all
+const ATTEMPT_POLICIES = ["best", "latest", "average"];
+
+// Regrade requests start "open" and are resolved once
+const REGRADE_TRANSITIONS = {
+  open: ["approved", "denied"],
+  approved: [],
+  denied: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_BULK_CONCURRENCY = 25; // students processed at once by bulk operations
+const BULK_YIELD_EVERY = 100; // students between pauses for the event loop (aborts, I/O)
+const WORK_DURATION_MS = 500; // startWorking → auto-submit
+const GRADING_DELAY_MS = 500; // submit → automatic grading
+
+// ====== Clocks ======
+// A clock has now(), setTimeout(fn, ms) and clearTimeout(id). Every timer in the
+// assignment lifecycle goes through one, so tests can swap in a ManualClock.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+// Simulated time: nothing fires until advance() moves the clock forward
+class ManualClock {
+  constructor(start = 0) {
+    this._now = toTimestamp(start);
+    this._timers = [];
+    this._nextId = 1;
+  }
+
+  now() {
+    return this._now;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this._nextId++;
+    this._timers.push({ id, fn, at: this._now + Math.max(ms, 0) });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this._timers = this._timers.filter((t) => t.id !== id);
+  }
+
+  get pendingTimers() {
+    return this._timers.length;
+  }
+
+  // Move time forward, firing due timers in order (including any they schedule)
+  advance(ms = 0) {
+    const target = this._now + ms;
+
+    for (;;) {
+      const due = this._timers
+        .filter((t) => t.at <= target)
+        .sort((x, y) => x.at - y.at || x.id - y.id)[0];
+      if (!due) break;
+
+      this.clearTimeout(due.id);
+      this._now = due.at;
+      due.fn();
+    }
+
+    this._now = target;
+  }
+}
+
+// Accepts a Date, an ISO string or epoch milliseconds
+function toTimestamp(value) {
+  let ms = value;
+  if (value instanceof Date) ms = value.getTime();
+  else if (typeof value === "string") ms = Date.parse(value);
+  if (typeof ms !== "number" || Number.isNaN(ms)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return ms;
+}
+
+// Thrown when an assignment is moved to a status it can't reach from its current one
+class InvalidTransitionError extends Error {
+  constructor(assignmentName, from, to) {
+    super(`Cannot move ${assignmentName} from "${from}" to "${to}".`);
+    this.name = "InvalidTransitionError";
+    this.assignmentName = assignmentName;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// A common A–F scale; pass one like it as `letterScale` (highest `min` first)
+const STANDARD_LETTER_SCALE = [
+  { min: 90, letter: "A" },
+  { min: 80, letter: "B" },
+  { min: 70, letter: "C" },
+  { min: 60, letter: "D" },
+  { min: 0, letter: "F" },
+];
+
+// Thrown when a late policy refuses a submission outright
+class LateSubmissionError extends Error {
+  constructor(assignmentName, lateBy) {
+    super(`${assignmentName} is ${Math.ceil(lateBy / 60000)} minute(s) past due and can no longer be submitted.`);
+    this.name = "LateSubmissionError";
+    this.assignmentName = assignmentName;
+    this.lateBy = lateBy;
+  }
+}
+
+// Thrown for regrade requests that can't be opened or resolved
+class RegradeRequestError extends Error {
+  constructor(assignmentName, message) {
+    super(`${assignmentName}: ${message}`);
+    this.name = "RegradeRequestError";
+    this.assignmentName = assignmentName;
+  }
+}
+
+// How late work is handled. All options are optional and combine:
+//   graceMs           – lateness forgiven entirely
+//   percentPerDay     – % of maxPoints taken off per started day past the grace period
+//   maxPenaltyPercent – cap on the total deduction (default 100)
+//   rejectAfterMs     – refuse submissions more than this late (0 = hard deadline)
+class LatePolicy {
+  constructor(options = {}) {
+    this.graceMs = options.graceMs || 0;
+    this.percentPerDay = options.percentPerDay || 0;
+    this.maxPenaltyPercent =
+      typeof options.maxPenaltyPercent === "number" ? options.maxPenaltyPercent : 100;
+    this.rejectAfterMs =
+      typeof options.rejectAfterMs === "number" ? options.rejectAfterMs : null;
+  }
+
+  rejects(lateBy) {
+    return this.rejectAfterMs !== null && lateBy > Math.max(this.rejectAfterMs, this.graceMs);
+  }
+
+  // Points to deduct from a grade on an assignment submitted `lateBy` ms after its due date
+  penaltyFor(lateBy, maxPoints) {
+    const daysLate = Math.ceil((lateBy - this.graceMs) / DAY_MS);
+    if (daysLate <= 0) return 0;
+
+    const percent = Math.min(daysLate * this.percentPerDay, this.maxPenaltyPercent);
+    return (maxPoints * percent) / 100;
+  }
+
+  toSnapshot() {
+    return {
+      graceMs: this.graceMs,
+      percentPerDay: this.percentPerDay,
+      maxPenaltyPercent: this.maxPenaltyPercent,
+      rejectAfterMs: this.rejectAfterMs,
+    };
+  }
+}
+
 // Represents a single assignment for a student
 class Assignment {
-  constructor(assignmentName) {
+  constructor(assignmentName, options = {}) {
     this.assignmentName = assignmentName;
-    this.status = "released";      // default status when created
+    this.passThreshold =
+      typeof options.passThreshold === "number" ? options.passThreshold : 50;
+    this.letterScale = options.letterScale || null;
+    this.grader = options.grader || null; // falls back to the class grader
+    this.category = options.category || "uncategorized";
+    this.maxPoints =
+      typeof options.maxPoints === "number" && options.maxPoints > 0
+        ? options.maxPoints
+        : 100;
+    this.dueDate = options.dueDate !== undefined && options.dueDate !== null
+      ? toTimestamp(options.dueDate)
+      : null;
+    this.latePolicy = options.latePolicy || null; // falls back to the class policy
+    this.maxAttempts =
+      Number.isInteger(options.maxAttempts) && options.maxAttempts > 0 ? options.maxAttempts : 1;
+    this.attemptPolicy = options.attemptPolicy || "latest";
+    if (!ATTEMPT_POLICIES.includes(this.attemptPolicy)) {
+      throw new Error(`Unknown attempt policy "${this.attemptPolicy}" (expected ${ATTEMPT_POLICIES.join(", ")}).`);
+    }
+    this.groupWork = Boolean(options.groupWork); // shared by the student's ClassList group
+    this.gradeAdjustment = 0;      // points added to this student's share of a group grade
+    this.extendedDueDate = null;   // per-student extension, replaces dueDate when set
+    this.extensions = [];          // { dueDate, grantedAt }, oldest first
+    this.attempts = [];            // one per submission: { attempt, submittedAt, lateBy, rawGrade, adjustment, latePenalty, grade, gradedAt }
+    this.regradeRequests = [];     // { id, attempt, reason, status, requestedAt, resolvedAt, previousGrade, newGrade, response }
+    this.submittedAt = null;       // latest submission
+    this.latePenalty = 0;          // points deducted when the grade was recorded
+    this._clock = options.clock || systemClock;
+    this._status = "released";     // default status when created
     this._grade = null;            // private-by-convention
     this._graded = false;          // track if grading already happened
     this._workTimeoutId = null;    // used by startWorking for auto-submit
+    this._workDueAt = null;        // when that auto-submit fires
+    this._gradeTimeoutId = null;   // used by submitAssignment for auto-grading
+    this._gradeDueAt = null;       // when that grading fires
+
+    // timestamped log of every status change, oldest first
+    this.history = [{ from: null, to: "released", at: this._clock.now() }];
+  }
+
+  get status() {
+    return this._status;
+  }
+
+  // Direct writes still go through the state machine
+  set status(next) {
+    this.transitionTo(next);
+  }
+
+  canTransitionTo(next) {
+    const allowed = ASSIGNMENT_TRANSITIONS[this._status] || [];
+    if (allowed.includes(next)) return true;
+
+    // graded work reopens while resubmission attempts remain
+    const reopen = RESUBMISSION_TRANSITIONS[this._status] || [];
+    return this.attemptsRemaining > 0 && reopen.includes(next);
+  }
+
+  get attemptsRemaining() {
+    return Math.max(this.maxAttempts - this.attempts.length, 0);
+  }
+
+  // The attempt currently submitted or last graded (null before the first submission)
+  get currentAttempt() {
+    return this.attempts.length > 0 ? this.attempts[this.attempts.length - 1] : null;
+  }
+
+  // The extended due date if one was granted, otherwise the original
+  get effectiveDueDate() {
+    return this.extendedDueDate !== null ? this.extendedDueDate : this.dueDate;
+  }
+
+  // Move to a new status, throwing InvalidTransitionError if it isn't allowed
+  transitionTo(next) {
+    if (!this.canTransitionTo(next)) {
+      throw new InvalidTransitionError(this.assignmentName, this._status, next);
+    }
+
+    this.history.push({ from: this._status, to: next, at: this._clock.now() });
+    this._status = next;
+  }
+
+  // Milliseconds past the (extended) due date at submission (or now, if still open); 0 if on time
+  get lateBy() {
+    if (this.effectiveDueDate === null) return 0;
+    const at = this.submittedAt !== null ? this.submittedAt : this._clock.now();
+    return Math.max(at - this.effectiveDueDate, 0);
+  }
+
+  get isLate() {
+    return this.submittedAt !== null && this.lateBy > 0;
+  }
+
+  // Grade as a 0–100 percentage of maxPoints (null if ungraded)
+  get percentage() {
+    if (this._grade === null || this._grade === undefined) return null;
+    return (this._grade / this.maxPoints) * 100;
+  }
+
+  _outcomeFor(grade) {
+    return (grade / this.maxPoints) * 100 > this.passThreshold ? "Pass" : "Fail";
+  }
+
+  // Set grade (in points) and update status based on this assignment's pass threshold
+  setGrade(grade) {
+    this.transitionTo(this._outcomeFor(grade));
+    this._grade = grade;
+    this._graded = true;
+  }
+
+  // The grade that counts under attemptPolicy, from every graded attempt (null if none)
+  combinedAttemptGrade(attempts = this.attempts) {
+    const grades = attempts.filter((a) => a.grade !== null).map((a) => a.grade);
+    if (grades.length === 0) return null;
+
+    if (this.attemptPolicy === "best") return Math.max(...grades);
+    if (this.attemptPolicy === "average") {
+      return grades.reduce((sum, g) => sum + g, 0) / grades.length;
+    }
+    return grades[grades.length - 1];
+  }
+
+  // Replace the grade of already graded work (an approved regrade). A Pass ↔ Fail
+  // flip bypasses the state machine but is still logged, with reason "regrade".
+  _regrade(grade) {
+    const outcome = this._outcomeFor(grade);
+    if (outcome !== this._status) {
+      this.history.push({ from: this._status, to: outcome, at: this._clock.now(), reason: "regrade" });
+      this._status = outcome;
+    }
+    this._grade = grade;
+  }
+
+  // Letter for the current grade, or null if ungraded / no scale configured
+  get letterGrade() {
+    if (!this.letterScale || !this._graded) return null;
+    const band = this.letterScale.find((b) => this.percentage >= b.min);
+    return band ? band.letter : null;
+  }
+
+  // Plain-data copy for persistence (see ClassList.toSnapshot)
+  toSnapshot() {
+    return {
+      assignmentName: this.assignmentName,
+      ...serializeAssignmentOptions(this),
+      status: this._status,
+      grade: this._grade,
+      graded: this._graded,
+      submittedAt: this.submittedAt,
+      latePenalty: this.latePenalty,
+      gradeAdjustment: this.gradeAdjustment,
+      extendedDueDate: this.extendedDueDate,
+      extensions: this.extensions.map((e) => ({ ...e })),
+      attempts: this.attempts.map((a) => ({ ...a })),
+      regradeRequests: this.regradeRequests.map((r) => ({ ...r })),
+      pendingWorkAt: this._workDueAt,
+      pendingGradeAt: this._gradeDueAt,
+      history: this.history.map((entry) => ({ ...entry })),
+    };
+  }
+
+  // Restore without re-running the state machine; timers are re-armed by the Student
+  static fromSnapshot(data, options = {}) {
+    const assignment = new Assignment(data.assignmentName, {
+      ...deserializeAssignmentOptions(data, options.grader),
+      clock: options.clock,
+    });
+
+    assignment._status = data.status;
+    assignment._grade = data.grade;
+    assignment._graded = Boolean(data.graded);
+    assignment.submittedAt = data.submittedAt;
+    assignment.latePenalty = data.latePenalty || 0;
+    assignment.gradeAdjustment = data.gradeAdjustment || 0;
+    // snapshots from before resubmissions have no attempts / extensions / regrades
+    assignment.extendedDueDate =
+      data.extendedDueDate !== undefined ? data.extendedDueDate : null;
+    assignment.extensions = (data.extensions || []).map((e) => ({ ...e }));
+    assignment.attempts = (data.attempts || []).map((a) => ({ ...a }));
+    assignment.regradeRequests = (data.regradeRequests || []).map((r) => ({ ...r }));
+    assignment._workDueAt = data.pendingWorkAt;
+    assignment._gradeDueAt = data.pendingGradeAt;
+    assignment.history = data.history.map((entry) => ({ ...entry }));
+    return assignment;
+  }
+}
+
+// Assignment options (as given to defineAssignment) ↔ plain data
+const ASSIGNMENT_OPTION_KEYS = [
+  "passThreshold",
+  "letterScale",
+  "category",
+  "maxPoints",
+  "maxAttempts",
+  "attemptPolicy",
+  "groupWork",
+];
+
+function serializeAssignmentOptions(options) {
+  const data = {};
+
+  ASSIGNMENT_OPTION_KEYS.forEach((key) => {
+    if (options[key] !== undefined && options[key] !== null) data[key] = options[key];
+  });
+  if (options.dueDate !== undefined && options.dueDate !== null) {
+    data.dueDate = toTimestamp(options.dueDate);
+  }
+  if (options.grader) data.grader = graderToSnapshot(options.grader);
+  if (options.latePolicy) data.latePolicy = options.latePolicy.toSnapshot();
+
+  return data;
+}
+
+function deserializeAssignmentOptions(data, callbackGrader = null) {
+  const options = {};
+
+  [...ASSIGNMENT_OPTION_KEYS, "dueDate"].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null) options[key] = data[key];
+  });
+  if (data.grader) options.grader = graderFromSnapshot(data.grader, callbackGrader);
+  if (data.latePolicy) options.latePolicy = new LatePolicy(data.latePolicy);
+
+  return options;
+}
+
+// ====== Graders ======
+// A grader is any object with grade(student, assignment, input) that returns
+// a number of points (or a promise of one). Returning null leaves the assignment "submitted".
+// Input a grader can't use is rejected with a GraderInputError.
+
+class GraderInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GraderInputError";
+  }
+}
+
+// Default: random 0–maxPoints, the original simulated behaviour
+class RandomGrader {
+  grade(student, assignment) {
+    return Math.floor(Math.random() * (assignment.maxPoints + 1));
+  }
+
+  toSnapshot() {
+    return { type: "random" };
+  }
+}
+
+// Nothing is graded automatically; the grade is whatever number gets entered
+class ManualGrader {
+  grade(student, assignment, input) {
+    return typeof input === "number" ? input : null;
+  }
+
+  toSnapshot() {
+    return { type: "manual" };
+  }
+}
+
+// Weighted criteria, e.g. [{ name: "tests", weight: 2, maxPoints: 10 }].
+// Input is a map of criterion name → points; the result is scaled to the assignment's maxPoints.
+class RubricGrader {
+  constructor(criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+      throw new Error("RubricGrader needs at least one criterion.");
+    }
+    this.criteria = criteria.map((c) => ({
+      name: c.name,
+      weight: typeof c.weight === "number" ? c.weight : 1,
+      maxPoints: typeof c.maxPoints === "number" ? c.maxPoints : 100,
+    }));
+  }
+
+  grade(student, assignment, input) {
+    if (!input || typeof input !== "object") return null;
+
+    const unknown = Object.keys(input).filter(
+      (key) => !this.criteria.some((c) => c.name === key)
+    );
+    if (unknown.length > 0) {
+      throw new GraderInputError(`Unknown rubric criteria: ${unknown.join(", ")}`);
+    }
+
+    const totalWeight = this.criteria.reduce((sum, c) => sum + c.weight, 0);
+    const earned = this.criteria.reduce((sum, c) => {
+      const points = Math.min(Math.max(Number(input[c.name]) || 0, 0), c.maxPoints);
+      return sum + c.weight * (points / c.maxPoints);
+    }, 0);
+
+    return (earned / totalWeight) * assignment.maxPoints;
+  }
+
+  toSnapshot() {
+    return { type: "rubric", criteria: this.criteria.map((c) => ({ ...c })) };
+  }
+}
+
+// Delegates to a (possibly async) function, e.g. an autograder run
+class CallbackGrader {
+  constructor(callback) {
+    if (typeof callback !== "function") {
+      throw new Error("CallbackGrader needs a function.");
+    }
+    this.callback = callback;
+  }
+
+  grade(student, assignment, input) {
+    return this.callback(student, assignment, input);
+  }
+
+  // Functions can't be saved; pass the grader again when loading the snapshot
+  toSnapshot() {
+    return { type: "callback" };
+  }
+}
+
+const DEFAULT_GRADER = new RandomGrader();
+
+// A grader as plain data. Graders without toSnapshot (plain objects) can't be
+// saved, so like callback graders they are passed again when loading.
+function graderToSnapshot(grader) {
+  return typeof grader.toSnapshot === "function" ? grader.toSnapshot() : { type: "callback" };
+}
+
+// Rebuild a grader saved with graderToSnapshot(). Callback and plain-object graders come back as `fallback`.
+function graderFromSnapshot(data, fallback = null) {
+  if (!data) return fallback;
+  if (data.type === "random") return new RandomGrader();
+  if (data.type === "manual") return new ManualGrader();
+  if (data.type === "rubric") return new RubricGrader(data.criteria);
+  return fallback;
+}
+
+// ====== Grading schemes ======
+// A scheme looks like:
+//   {
+//     categories: {
+//       homework: { weight: 30, dropLowest: 1 },
+//       exams: { weight: 70 },
+//       bonus: { weight: 5, extraCredit: true }, // adds up to 5 points on top
+//     },
+//     maxGrade: 105, // optional cap on the overall grade
+//   }
+// Weights are relative; categories with nothing graded yet are left out and
+// the remaining weights rescaled. Without a scheme every graded assignment
+// counts equally, as before.
+
+function validateGradingScheme(scheme) {
+  if (!scheme || typeof scheme.categories !== "object" || scheme.categories === null) {
+    throw new Error("A grading scheme needs a categories object.");
+  }
+
+  Object.entries(scheme.categories).forEach(([name, rule]) => {
+    if (typeof rule.weight !== "number" || rule.weight < 0) {
+      throw new Error(`Category ${name} needs a non-negative numeric weight.`);
+    }
+    if (
+      rule.dropLowest !== undefined &&
+      (!Number.isInteger(rule.dropLowest) || rule.dropLowest < 0)
+    ) {
+      throw new Error(`Category ${name} has an invalid dropLowest value.`);
+    }
+  });
+}
+
+// Per-category subtotals plus the overall grade for a set of assignments
+function computeGradeBreakdown(assignments, scheme) {
+  const graded = assignments.filter((a) => a.percentage !== null);
+
+  if (!scheme) {
+    const overall =
+      graded.length === 0
+        ? null
+        : graded.reduce((sum, a) => sum + a.percentage, 0) / graded.length;
+    return { overall, categories: {}, bonus: 0 };
+  }
+
+  // group graded work by category
+  const byCategory = {};
+  graded.forEach((a) => {
+    (byCategory[a.category] = byCategory[a.category] || []).push(a);
+  });
+
+  const categories = {};
+  Object.keys({ ...scheme.categories, ...byCategory }).forEach((name) => {
+    const rule = scheme.categories[name] || { weight: 0 };
+    const items = (byCategory[name] || [])
+      .slice()
+      .sort((x, y) => x.percentage - y.percentage);
+
+    // never drop every graded item
+    const dropCount = Math.min(rule.dropLowest || 0, Math.max(items.length - 1, 0));
+    const dropped = items.slice(0, dropCount);
+    const counted = items.slice(dropCount);
+
+    const earned = counted.reduce((sum, a) => sum + a._grade, 0);
+    const possible = counted.reduce((sum, a) => sum + a.maxPoints, 0);
+
+    categories[name] = {
+      weight: rule.weight,
+      extraCredit: Boolean(rule.extraCredit),
+      earned,
+      possible,
+      percentage: possible > 0 ? (earned / possible) * 100 : null,
+      counted: counted.map((a) => a.assignmentName),
+      dropped: dropped.map((a) => a.assignmentName),
+    };
+  });
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  let bonus = 0;
+
+  Object.values(categories).forEach((c) => {
+    if (c.percentage === null) return;
+    if (c.extraCredit) {
+      bonus += (c.percentage / 100) * c.weight;
+    } else if (c.weight > 0) {
+      weightedSum += c.percentage * c.weight;
+      weightTotal += c.weight;
+    }
+  });
+
+  let overall = weightTotal > 0 ? weightedSum / weightTotal + bonus : null;
+  if (overall !== null && typeof scheme.maxGrade === "number") {
+    overall = Math.min(overall, scheme.maxGrade);
+  }
+
+  return { overall, categories, bonus };
+}
+
+// ====== Events ======
+// Everything that happens to a student or assignment is published on the
+// class's EventBus as a plain-data event:
+//   { type, at, studentId, student, email, assignmentName, status, grade, message }
+// "rejected" events (an automatic submission the late policy refused) also carry `error`.
+const EVENT_TYPES = [
+  "released",
+  "working",
+  "reminder",
+  "submitted",
+  "rejected",
+  "graded",
+  "added",
+  "removed",
+];
+
+function eventTypeForStatus(status) {
+  if (status === "final reminder") return "reminder";
+  if (status === "Pass" || status === "Fail") return "graded";
+  return EVENT_TYPES.includes(status) ? status : null;
+}
+
+// Human-readable line for an event (the same wording the Observer always used)
+function describeEvent(event) {
+  const name = event.student;
+  const aName = event.assignmentName;
+
+  switch (event.type) {
+    case "released":
+      return `${name}, ${aName} has been released.`;
+    case "working":
+      return `${name} is working on ${aName}.`;
+    case "reminder":
+      return `${name}, final reminder for ${aName}.`;
+    case "submitted":
+      return `${name} has submitted ${aName}.`;
+    case "rejected":
+      return `${name}'s ${aName} could not be submitted: ${event.error}`;
+    case "graded":
+      return event.status === "Pass"
+        ? `${name} has passed ${aName}`
+        : `${name} has failed ${aName}`;
+    case "added":
+      return `${name} has been added to the classlist.`;
+    case "removed":
+      return `${name} has been removed from the classlist.`;
+    default:
+      return `${name}, ${aName} status updated to ${event.status}.`;
+  }
+}
+
+// `details` are extra fields for the event type (e.g. a rejection's error)
+function buildEvent(type, student, assignment, at, details = {}) {
+  const event = {
+    type,
+    at,
+    studentId: student.id,
+    student: student.fullName,
+    email: student.email,
+    assignmentName: assignment ? assignment.assignmentName : null,
+    status: assignment ? assignment.status : null,
+    grade: assignment && assignment._graded ? assignment._grade : null,
+    ...details,
+  };
+  event.message = describeEvent(event);
+  return event;
+}
+
+// Publish/subscribe hub. Listeners are called as listener(event, student).
+class EventBus {
+  constructor() {
+    this._subscribers = [];
+  }
+
+  // Listen to every event, or only the given types. Returns an unsubscribe function.
+  subscribe(listener, types) {
+    if (typeof listener !== "function") {
+      throw new Error("EventBus.subscribe needs a listener function.");
+    }
+    const unknown = (types || []).filter((t) => !EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event types: ${unknown.join(", ")}`);
+    }
+
+    const entry = { listener, types: types || null };
+    this._subscribers.push(entry);
+    return () => {
+      this._subscribers = this._subscribers.filter((e) => e !== entry);
+    };
+  }
+
+  // One failing listener doesn't stop the others
+  publish(event, student) {
+    this._subscribers.forEach(({ listener, types }) => {
+      if (types && !types.includes(event.type)) return;
+      try {
+        listener(event, student);
+      } catch (err) {
+        console.error(`Event listener failed on ${event.type}:`, err);
+      }
+    });
+  }
+}
+
+// Observer for logging status updates (kept for code that passes one to Student / ClassList)
+class Observer {
+  notify(student, assignment, isReminder = false) {
+    const type = isReminder ? "reminder" : eventTypeForStatus(assignment.status);
+    const event = buildEvent(type, student, assignment, Date.now());
+    console.log(`Observer → ${event.message}`);
+  }
+}
+
+// ====== Notification sinks ======
+// A sink delivers messages shaped { channel, to, subject, body, events }, where
+// `to` is { name, email } and `events` are the bus events the message covers.
+
+class ConsoleSink {
+  deliver(message) {
+    console.log(message.body);
+  }
+}
+
+// Keeps every message in memory, handy for tests and dashboards
+class MemorySink {
+  constructor() {
+    this.messages = [];
+  }
+
+  deliver(message) {
+    this.messages.push(message);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+// Appends one JSON object per line to a file (Node only)
+class JsonLinesFileSink {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._fs = require("fs");
+  }
+
+  deliver(message) {
+    this._fs.appendFileSync(this.filePath, JSON.stringify(message) + "\n");
+  }
+}
+
+// Stub mail transport: queues emails instead of sending them
+class EmailOutboxSink {
+  constructor() {
+    this.outbox = [];
+  }
+
+  deliver(message) {
+    if (!message.to || !message.to.email) return; // nowhere to send it
+    this.outbox.push({
+      to: message.to.email,
+      subject: message.subject,
+      body: message.body,
+    });
+  }
+}
+
+// Routes bus events to sinks according to each student's preferences:
+//   student.setNotificationPreferences({ channels: ["email"], digest: true, mutedTypes: ["working"] })
+// Students in digest mode get one message per channel per day instead of one per event.
+class Notifier {
+  // options.channels: name → sink (default { console: ConsoleSink })
+  // options.defaultChannels: used when a student hasn't picked any
+  // options.clock: drives the daily digest timer
+  constructor(bus, options = {}) {
+    this.channels = options.channels || { console: new ConsoleSink() };
+    this.defaultChannels = options.defaultChannels || Object.keys(this.channels);
+    this.clock = options.clock || systemClock;
+    this._digests = new Map(); // Student → pending events
+    this._digestTimeoutId = null;
+    this._unsubscribe = bus.subscribe((event, student) => this.handle(event, student));
+  }
+
+  _channelsFor(student) {
+    const chosen =
+      student && student.notificationPreferences.channels
+        ? student.notificationPreferences.channels
+        : this.defaultChannels;
+    return chosen.filter((name) => this.channels[name]);
+  }
+
+  _deliver(student, message) {
+    this._channelsFor(student).forEach((channel) => {
+      this.channels[channel].deliver({ channel, ...message });
+    });
+  }
+
+  handle(event, student) {
+    const prefs = student ? student.notificationPreferences : null;
+    if (prefs && prefs.mutedTypes.includes(event.type)) return;
+
+    if (prefs && prefs.digest) {
+      if (!this._digests.has(student)) this._digests.set(student, []);
+      this._digests.get(student).push(event);
+      return;
+    }
+
+    this._deliver(student, {
+      to: { name: event.student, email: event.email },
+      subject: event.assignmentName
+        ? `${event.assignmentName}: ${event.type}`
+        : `Class list: ${event.type}`,
+      body: event.message,
+      events: [event],
+    });
+  }
+
+  // Send every pending digest now
+  flushDigests() {
+    this._digests.forEach((events, student) => {
+      if (events.length === 0) return;
+      this._deliver(student, {
+        to: { name: student.fullName, email: student.email },
+        subject: `Daily digest for ${student.fullName} (${events.length} update(s))`,
+        body: events.map((e) => `- ${e.message}`).join("\n"),
+        events,
+      });
+    });
+    this._digests.clear();
+  }
+
+  // Flush digests every 24h on the notifier's clock
+  startDailyDigest() {
+    this.stopDailyDigest();
+    const tick = () => {
+      this.flushDigests();
+      this._digestTimeoutId = this.clock.setTimeout(tick, DAY_MS);
+    };
+    this._digestTimeoutId = this.clock.setTimeout(tick, DAY_MS);
+  }
+
+  stopDailyDigest() {
+    if (this._digestTimeoutId !== null) {
+      this.clock.clearTimeout(this._digestTimeoutId);
+      this._digestTimeoutId = null;
+    }
+  }
+
+  // Stop listening; pending digests are kept until flushed
+  detach() {
+    this.stopDailyDigest();
+    this._unsubscribe();
+  }
+}
+
+// ====== Student identity ======
+
+// Thrown by Student.setEmail for anything that isn't a plausible address
+class InvalidEmailError extends Error {
+  constructor(email) {
+    super(`"${email}" is not a valid email address.`);
+    this.name = "InvalidEmailError";
+    this.email = email;
+  }
+}
+
+// Thrown when a student (or their email) is already on the class list
+class DuplicateStudentError extends Error {
+  constructor(message, existing) {
+    super(message);
+    this.name = "DuplicateStudentError";
+    this.existing = existing;
+  }
+}
+
+// Thrown when a name lookup matches more than one student
+class AmbiguousStudentError extends Error {
+  constructor(name, matches) {
+    super(`${matches.length} students are named ${name}; use their ID or email instead.`);
+    this.name = "AmbiguousStudentError";
+    this.matches = matches;
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s.]+$/.test(email);
+}
+
+let studentIdCounter = 0;
+
+// Random enough to never clash with IDs loaded from an earlier session
+function generateStudentId() {
+  const cryptoApi = typeof globalThis !== "undefined" ? globalThis.crypto : null;
+  if (cryptoApi && typeof cryptoApi.randomUUID === "function") {
+    return `stu_${cryptoApi.randomUUID()}`;
+  }
+  studentIdCounter += 1;
+  return `stu_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}${studentIdCounter}`;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// How well a (lower-case) query matches a (lower-case) name; 0 means no match
+function fuzzyNameScore(query, name) {
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80;
+
+  const nameTokens = name.split(/\s+/);
+  const queryTokens = query.split(/\s+/);
+  if (queryTokens.every((q) => nameTokens.some((t) => t.startsWith(q)))) return 60;
+  if (name.includes(query)) return 40;
+
+  // close spelling, against the whole name or any single part of it
+  const distance = Math.min(levenshtein(query, name), ...nameTokens.map((t) => levenshtein(query, t)));
+  if (distance <= Math.max(1, Math.floor(query.length / 4))) return 20 - distance;
+
+  return 0;
+}
+
+// Represents a student and all their assignments
+class Student {
+  // email may be left blank; otherwise it must be valid (it is stored lower-cased)
+  constructor(fullName, email, observer, id) {
+    this.id = id || generateStudentId();
+    this.fullName = fullName || "";
+    this.email = "";
+    if (email) this.setEmail(email);
+    this.assignmentStatuses = []; // array of Assignment objects
+    this.overallGrade = null;
+    this.observer = observer;
+    this._classList = null; // set by ClassList.addStudent
+    this.notificationPreferences = { channels: null, digest: false, mutedTypes: [] };
+  }
+
+  // channels: sink names (null = notifier defaults), digest: true for a daily summary,
+  // mutedTypes: event types to skip entirely
+  setNotificationPreferences(prefs = {}) {
+    this.notificationPreferences = { ...this.notificationPreferences, ...prefs };
+  }
+
+  setFullName(name) {
+    this.fullName = name;
+  }
+
+  // Throws InvalidEmailError, or DuplicateStudentError if a classmate already uses it
+  setEmail(email) {
+    const normalized = normalizeEmail(email);
+    if (!isValidEmail(normalized)) {
+      throw new InvalidEmailError(email);
+    }
+
+    const clash = this._classList && this._classList.findStudentByEmail(normalized);
+    if (clash && clash !== this) {
+      throw new DuplicateStudentError(`${normalized} is already used by ${clash.fullName}.`, clash);
+    }
+
+    this.email = normalized;
+  }
+
+  // Helper to find an assignment by name
+  _findAssignment(assignmentName) {
+    return (
+      this.assignmentStatuses.find(
+        (a) => a.assignmentName === assignmentName
+      ) || null
+    );
+  }
+
+  // Find an assignment, creating (and announcing) it from the class definition if needed
+  _ensureAssignment(assignmentName) {
+    let assignment = this._findAssignment(assignmentName);
+
+    if (!assignment) {
+      const options = this._classList
+        ? this._classList.getAssignmentDefinition(assignmentName)
+        : {};
+      assignment = new Assignment(assignmentName, { ...options, clock: this._clock() });
+      this.assignmentStatuses.push(assignment);
+      this._notifyObserver(assignment); // released
+    }
+
+    return assignment;
+  }
+
+  _clock() {
+    return (this._classList && this._classList.clock) || systemClock;
+  }
+
+  _resolveLatePolicy(assignment) {
+    return assignment.latePolicy || (this._classList && this._classList.latePolicy) || null;
+  }
+
+  // Per-assignment grader, then the class grader, then the random default
+  _resolveGrader(assignment) {
+    return (
+      assignment.grader ||
+      (this._classList && this._classList.grader) ||
+      DEFAULT_GRADER
+    );
+  }
+
+  // Move to "submitted", stamping the time; throws LateSubmissionError if the policy refuses it
+  _markSubmitted(assignment) {
+    const clock = this._clock();
+    const policy = this._resolveLatePolicy(assignment);
+    const dueDate = assignment.effectiveDueDate;
+    const lateBy = dueDate === null ? 0 : Math.max(clock.now() - dueDate, 0);
+
+    if (policy && policy.rejects(lateBy)) {
+      throw new LateSubmissionError(assignment.assignmentName, lateBy);
+    }
+
+    this._cancelAutoSubmit(assignment);
+    assignment.transitionTo("submitted");
+    assignment.submittedAt = clock.now();
+    assignment._graded = false; // a resubmission waits for its own grade
+    assignment.attempts.push({
+      attempt: assignment.attempts.length + 1,
+      submittedAt: assignment.submittedAt,
+      lateBy: null,
+      rawGrade: null,
+      adjustment: 0,
+      latePenalty: 0,
+      grade: null,
+      gradedAt: null,
+    });
+    this._notifyObserver(assignment);
+  }
+
+  // Auto-submit after `delay` ms unless it was submitted/graded in the meantime.
+  // The due time is kept on the assignment so a restored snapshot can re-arm it.
+  // A submission the late policy refuses is published as a "rejected" event.
+  _scheduleAutoSubmit(assignment, delay) {
+    const clock = this._clock();
+    this._cancelAutoSubmit(assignment);
+
+    assignment._workDueAt = clock.now() + delay;
+    assignment._workTimeoutId = clock.setTimeout(() => {
+      assignment._workTimeoutId = null;
+      assignment._workDueAt = null;
+      if (
+        assignment.status === "working" ||
+        assignment.status === "released" ||
+        assignment.status === "final reminder"
+      ) {
+        try {
+          this.submitAssignment(assignment.assignmentName);
+        } catch (err) {
+          // no caller to throw to from a timer, so listeners and sinks get it as an event
+          if (this._classList) this._classList._publish("rejected", this, assignment, { error: err.message });
+        }
+      }
+    }, delay);
+  }
+
+  _cancelAutoSubmit(assignment) {
+    if (assignment._workTimeoutId) {
+      this._clock().clearTimeout(assignment._workTimeoutId);
+    }
+    assignment._workTimeoutId = null;
+    assignment._workDueAt = null;
+  }
+
+  // Run the grader after `delay` ms (manual/rubric graders leave it "submitted")
+  _scheduleGrading(assignment, delay) {
+    const clock = this._clock();
+
+    assignment._gradeDueAt = clock.now() + delay;
+    assignment._gradeTimeoutId = clock.setTimeout(() => {
+      assignment._gradeTimeoutId = null;
+      assignment._gradeDueAt = null;
+      if (assignment._graded) return;
+
+      const report = (err) =>
+        console.error(`Grading ${assignment.assignmentName} for ${this.fullName} failed:`, err);
+
+      try {
+        const pending = this._applyGrader(assignment);
+        if (pending && typeof pending.then === "function") pending.catch(report);
+      } catch (err) {
+        report(err);
+      }
+    }, delay);
   }
 
-  // Set grade and update status based on pass/fail
-  setGrade(grade) {
-    this._grade = grade;
-    this._graded = true;
-    this.status = grade > 50 ? "Pass" : "Fail";
+  // Re-arm timers that were pending when a snapshot was taken
+  _resumeTimers() {
+    const now = this._clock().now();
+
+    this.assignmentStatuses.forEach((a) => {
+      if (a._workDueAt !== null && a.status === "working") {
+        this._scheduleAutoSubmit(a, Math.max(a._workDueAt - now, 0));
+      }
+      if (a._gradeDueAt !== null && a.status === "submitted") {
+        this._scheduleGrading(a, Math.max(a._gradeDueAt - now, 0));
+      }
+    });
   }
-}
 
-// Observer for logging status updates
-class Observer {
-  notify(student, assignment, isReminder = false) {
-    const name = student.fullName;
-    const aName = assignment.assignmentName;
-    const status = assignment.status;
-
-    let msg;
-
-    if (isReminder || status === "final reminder") {
-      msg = `Observer → ${name}, final reminder for ${aName}.`;
-    } else if (status === "released") {
-      msg = `Observer → ${name}, ${aName} has been released.`;
-    } else if (status === "working") {
-      msg = `Observer → ${name} is working on ${aName}.`;
-    } else if (status === "submitted") {
-      msg = `Observer → ${name} has submitted ${aName}.`;
-    } else if (status === "Pass") {
-      msg = `Observer → ${name} has passed ${aName}`;
-    } else if (status === "Fail") {
-      msg = `Observer → ${name} has failed ${aName}`;
-    } else {
-      msg = `Observer → ${name}, ${aName} status updated to ${status}.`;
-    }
+  // Grade one attempt: raw grade plus any individual adjustment, less the late penalty
+  // for when it was submitted. Lateness is measured at grading time, so an extension
+  // granted since still counts. Returns the attempt's graded fields without changing it.
+  _attemptGrade(assignment, attempt, rawGrade) {
+    const policy = this._resolveLatePolicy(assignment);
+    const dueDate = assignment.effectiveDueDate;
+    const lateBy = dueDate === null ? 0 : Math.max(attempt.submittedAt - dueDate, 0);
+    const penalty = policy && lateBy > 0 ? policy.penaltyFor(lateBy, assignment.maxPoints) : 0;
 
-    console.log(msg);
+    const adjusted = Math.max(rawGrade + assignment.gradeAdjustment, 0);
+    const grade = Math.max(adjusted - penalty, 0);
+    return {
+      lateBy,
+      rawGrade,
+      adjustment: assignment.gradeAdjustment,
+      grade,
+      latePenalty: adjusted - grade,
+      gradedAt: this._clock().now(),
+    };
   }
-}
 
-// Represents a student and all their assignments
-class Student {
-  constructor(fullName, email, observer) {
-    this.fullName = fullName || "";
-    this.email = email || "";
-    this.assignmentStatuses = []; // array of Assignment objects
-    this.overallGrade = null;
-    this.observer = observer;
+  _gradeAttempt(assignment, attempt, rawGrade) {
+    Object.assign(attempt, this._attemptGrade(assignment, attempt, rawGrade));
+    return attempt.grade;
   }
 
-  setFullName(name) {
-    this.fullName = name;
+  // Grade the current attempt, store the grade that counts under the attempt policy,
+  // announce it and refresh the overall grade. Group work passes the same grade on
+  // to teammates waiting on it. Returns this student's grade for the attempt.
+  _recordGrade(assignment, grade, shareWithGroup = true) {
+    // snapshots from before attempts were tracked have none for the open submission
+    const attempt = assignment.currentAttempt || { attempt: 1, submittedAt: assignment.submittedAt, grade: null };
+    const graded = { ...attempt, ...this._attemptGrade(assignment, attempt, grade) };
+
+    // Check the outcome first, so a rejected grade (e.g. for work already graded) changes nothing
+    const attempts = assignment.currentAttempt ? [...assignment.attempts.slice(0, -1), graded] : [graded];
+    const outcome = assignment._outcomeFor(assignment.combinedAttemptGrade(attempts));
+    if (!assignment.canTransitionTo(outcome)) {
+      throw new InvalidTransitionError(assignment.assignmentName, assignment.status, outcome);
+    }
+
+    if (!assignment.currentAttempt) assignment.attempts.push(attempt);
+    Object.assign(attempt, graded);
+    const finalGrade = attempt.grade;
+
+    assignment.setGrade(assignment.combinedAttemptGrade());
+    assignment.latePenalty = attempt.latePenalty;
+    this._notifyObserver(assignment);
+    this._recalculateOverallGrade();
+
+    if (shareWithGroup) {
+      this._groupmates(assignment).forEach((mate) => {
+        const theirs = mate._findAssignment(assignment.assignmentName);
+        if (theirs && theirs.status === "submitted") mate._recordGrade(theirs, grade, false);
+      });
+    }
+    return finalGrade;
   }
 
-  setEmail(email) {
-    this.email = email;
+  // Other members of this student's group, for group work (empty otherwise)
+  _groupmates(assignment) {
+    if (!assignment.groupWork || !this._classList) return [];
+    return this._classList.groupMembersOf(this).filter((s) => s !== this);
   }
 
-  // Helper to find an assignment by name
-  _findAssignment(assignmentName) {
-    return (
-      this.assignmentStatuses.find(
-        (a) => a.assignmentName === assignmentName
-      ) || null
-    );
+  // Submit the same assignment for every teammate who hasn't yet. A teammate the
+  // late policy refuses (e.g. without the submitter's extension) is skipped.
+  _submitForGroup(assignment) {
+    this._groupmates(assignment).forEach((mate) => {
+      const theirs = mate._ensureAssignment(assignment.assignmentName);
+      if (theirs.status === "submitted" || !theirs.canTransitionTo("submitted")) return;
+      try {
+        mate._markSubmitted(theirs);
+      } catch (err) {
+        console.error(`Group submission of ${assignment.assignmentName} for ${mate.fullName} failed:`, err);
+      }
+    });
   }
 
-  // Notify observer on status changes
+  // Run the grader and record a numeric result. Returns the grade (or null),
+  // or a promise of it when the grader is async.
+  _applyGrader(assignment, input) {
+    const result = this._resolveGrader(assignment).grade(this, assignment, input);
+    const finish = (grade) => {
+      if (typeof grade !== "number" || assignment._graded) return null;
+      return this._recordGrade(assignment, grade);
+    };
+
+    return result && typeof result.then === "function"
+      ? result.then(finish)
+      : finish(result);
+  }
+
+  // Notify the observer and the class event bus on status changes
   _notifyObserver(assignment, isReminder = false) {
     if (this.observer && typeof this.observer.notify === "function") {
       this.observer.notify(this, assignment, isReminder);
     }
+    if (this._classList) {
+      const type = isReminder ? "reminder" : eventTypeForStatus(assignment.status);
+      this._classList._publish(type, this, assignment);
+    }
   }
 
-  // Recalculate overall average grade from graded assignments
+  // Recalculate overall grade using the class grading scheme (plain average without one)
   _recalculateOverallGrade() {
-    const graded = this.assignmentStatuses.filter(
-      (a) => a._grade !== null && a._grade !== undefined
-    );
-
-    if (graded.length === 0) {
-      this.overallGrade = null;
-      return this.overallGrade;
-    }
-
-    const total = graded.reduce((sum, a) => sum + a._grade, 0);
-    this.overallGrade = total / graded.length;
+    this.overallGrade = this.getGradeBreakdown().overall;
     return this.overallGrade;
   }
 
+  // Per-category subtotals, dropped assignments and extra credit behind the overall grade
+  getGradeBreakdown() {
+    const scheme = this._classList ? this._classList.gradingScheme : null;
+    return computeGradeBreakdown(this.assignmentStatuses, scheme);
+  }
+
   // Create / update an assignment and optionally set a grade
   updateAssignmentStatus(assignmentName, grade) {
-    let assignment = this._findAssignment(assignmentName);
+    const assignment = this._ensureAssignment(assignmentName);
 
-    if (!assignment) {
-      assignment = new Assignment(assignmentName);
-      this.assignmentStatuses.push(assignment);
-      this._notifyObserver(assignment); // released
+    if (typeof grade === "number") {
+      // grading an unsubmitted assignment submits it first
+      if (assignment.canTransitionTo("submitted")) {
+        this._markSubmitted(assignment);
+        this._submitForGroup(assignment);
+      }
+
+      this._recordGrade(assignment, grade);
     }
+  }
 
-    if (typeof grade === "number") {
-      assignment.setGrade(grade);
-      this._notifyObserver(assignment);
-      this._recalculateOverallGrade();
+  // Grade a submitted assignment through its grader. `input` is whatever the
+  // grader expects (a number for manual grading, criterion scores for a rubric).
+  // Resolves to the grade after any late penalty, or null if the grader left it ungraded.
+  async gradeAssignment(assignmentName, input) {
+    const assignment = this._findAssignment(assignmentName);
+    if (!assignment) {
+      throw new Error(`${this.fullName} has no assignment named ${assignmentName}.`);
+    }
+    if (assignment.status !== "submitted") {
+      throw new InvalidTransitionError(assignmentName, assignment.status, "graded");
     }
+
+    return this._applyGrader(assignment, input);
   }
 
   // Get status string for a specific assignment name
@@ -122,203 +1282,703 @@ class Student {
     return assignment.status;
   }
 
-  // Start working on an assignment and auto-submit after 500ms
+  // Timestamped status changes across all assignments (or just one), oldest first
+  getTransitionHistory(assignmentName) {
+    return this.assignmentStatuses
+      .filter((a) => !assignmentName || a.assignmentName === assignmentName)
+      .flatMap((a) =>
+        a.history.map((entry) => ({ assignmentName: a.assignmentName, ...entry }))
+      )
+      .sort((x, y) => x.at - y.at);
+  }
+
+  // Start working on an assignment and auto-submit after WORK_DURATION_MS.
+  // For group work the whole group starts; teammates past "working" are left alone.
   startWorking(assignmentName) {
-    let assignment = this._findAssignment(assignmentName);
+    const assignment = this._ensureAssignment(assignmentName);
+    this._startWorking(assignment); // throws if already submitted or graded
+
+    this._groupmates(assignment).forEach((mate) => {
+      const theirs = mate._ensureAssignment(assignmentName);
+      if (theirs.status === "working" || theirs.canTransitionTo("working")) {
+        mate._startWorking(theirs);
+      }
+    });
+  }
+
+  _startWorking(assignment) {
+    if (assignment.status !== "working") {
+      assignment.transitionTo("working");
+    }
+    this._notifyObserver(assignment);
+
+    this._scheduleAutoSubmit(assignment, WORK_DURATION_MS);
+  }
+
+  // Submit an assignment and run its grader after GRADING_DELAY_MS. Graded work
+  // is resubmitted while attempts remain; group work is submitted (and later graded)
+  // for the whole group. Throws LateSubmissionError if the late policy refuses it.
+  submitAssignment(assignmentName) {
+    const assignment = this._ensureAssignment(assignmentName);
 
+    // no-op if already submitted, or graded with no attempts left
+    if (assignment.status === "submitted" || !assignment.canTransitionTo("submitted")) {
+      return;
+    }
+
+    this._markSubmitted(assignment);
+    this._submitForGroup(assignment);
+    this._scheduleGrading(assignment, GRADING_DELAY_MS);
+  }
+
+  // Points added to (or, if negative, taken from) this student's share of a group
+  // grade. Re-grades the current attempt if it was already graded.
+  setGradeAdjustment(assignmentName, points) {
+    const assignment = this._findAssignment(assignmentName);
     if (!assignment) {
-      assignment = new Assignment(assignmentName);
-      this.assignmentStatuses.push(assignment);
-      this._notifyObserver(assignment); // released
+      throw new Error(`${this.fullName} has no assignment named ${assignmentName}.`);
+    }
+    if (typeof points !== "number" || Number.isNaN(points)) {
+      throw new Error("A grade adjustment must be a number of points.");
     }
 
-    assignment.status = "working";
-    this._notifyObserver(assignment);
+    assignment.gradeAdjustment = points;
+    const attempt = assignment.currentAttempt;
+    if (assignment._graded && attempt && typeof attempt.rawGrade === "number") {
+      this._gradeAttempt(assignment, attempt, attempt.rawGrade);
+      assignment._regrade(assignment.combinedAttemptGrade());
+      this._notifyObserver(assignment);
+      this._recalculateOverallGrade();
+    }
+  }
 
-    // clear any previous timer
-    if (assignment._workTimeoutId) {
-      clearTimeout(assignment._workTimeoutId);
+  // Give this student a later due date for one assignment. Late penalties and
+  // rejection use it from then on, including for attempts not yet graded.
+  grantExtension(assignmentName, until) {
+    const assignment = this._findAssignment(assignmentName);
+    if (!assignment) {
+      throw new Error(`${this.fullName} has no assignment named ${assignmentName}.`);
+    }
+    if (assignment.dueDate === null) {
+      throw new Error(`${assignmentName} has no due date to extend.`);
     }
 
-    // auto-submit after 500ms if not already submitted/graded
-    assignment._workTimeoutId = setTimeout(() => {
-      if (
-        assignment.status === "working" ||
-        assignment.status === "released" ||
-        assignment.status === "final reminder"
-      ) {
-        this.submitAssignment(assignmentName);
-      }
-    }, 500);
+    const dueDate = toTimestamp(until);
+    if (dueDate <= assignment.dueDate) {
+      throw new Error(`An extension for ${assignmentName} must be later than its due date.`);
+    }
+
+    assignment.extendedDueDate = dueDate;
+    assignment.extensions.push({ dueDate, grantedAt: this._clock().now() });
   }
 
-  // Submit an assignment and simulate grading after 500ms
-  submitAssignment(assignmentName) {
-    let assignment = this._findAssignment(assignmentName);
+  // ====== Regrade requests ======
 
+  _requireRegrade(assignmentName) {
+    const assignment = this._findAssignment(assignmentName);
     if (!assignment) {
-      assignment = new Assignment(assignmentName);
-      this.assignmentStatuses.push(assignment);
-      this._notifyObserver(assignment); // released
+      throw new Error(`${this.fullName} has no assignment named ${assignmentName}.`);
+    }
+    const request = assignment.regradeRequests.find((r) => r.status === "open");
+    if (!request) {
+      throw new RegradeRequestError(assignmentName, "there is no open regrade request.");
     }
+    return { assignment, request };
+  }
 
-    // no-op if already submitted or graded
-    if (
-      assignment.status === "submitted" ||
-      assignment.status === "Pass" ||
-      assignment.status === "Fail"
-    ) {
-      return;
+  // Ask for the latest graded attempt to be looked at again. One open request at a time.
+  requestRegrade(assignmentName, reason = "") {
+    const assignment = this._findAssignment(assignmentName);
+    if (!assignment) {
+      throw new Error(`${this.fullName} has no assignment named ${assignmentName}.`);
+    }
+    if (!assignment._graded) {
+      throw new RegradeRequestError(assignmentName, "only graded work can be regraded.");
+    }
+    if (assignment.regradeRequests.some((r) => r.status === "open")) {
+      throw new RegradeRequestError(assignmentName, "a regrade request is already open.");
     }
 
-    if (assignment._workTimeoutId) {
-      clearTimeout(assignment._workTimeoutId);
-      assignment._workTimeoutId = null;
+    const attempt = assignment.currentAttempt;
+    const request = {
+      id: assignment.regradeRequests.length + 1,
+      attempt: attempt ? attempt.attempt : null,
+      reason,
+      status: "open",
+      requestedAt: this._clock().now(),
+      resolvedAt: null,
+      previousGrade: attempt ? attempt.grade : assignment._grade,
+      newGrade: null,
+      response: null,
+    };
+    assignment.regradeRequests.push(request);
+    return request;
+  }
+
+  _resolveRegrade(request, status, response) {
+    if (!REGRADE_TRANSITIONS[request.status].includes(status)) {
+      throw new InvalidTransitionError(`regrade request ${request.id}`, request.status, status);
     }
+    request.status = status;
+    request.response = response;
+    request.resolvedAt = this._clock().now();
+  }
 
-    assignment.status = "submitted";
-    this._notifyObserver(assignment);
+  // Replace the requested attempt's raw grade (the late penalty still applies).
+  // The grade that counts is recomputed and may flip Pass ↔ Fail.
+  approveRegrade(assignmentName, newGrade, response = "") {
+    const { assignment, request } = this._requireRegrade(assignmentName);
+    if (typeof newGrade !== "number") {
+      throw new RegradeRequestError(assignmentName, "an approved regrade needs a numeric grade.");
+    }
+    if (!assignment._graded) {
+      throw new RegradeRequestError(assignmentName, "wait for the resubmission to be graded.");
+    }
 
-    setTimeout(() => {
-      if (assignment._graded) return;
+    const attempt =
+      assignment.attempts.find((a) => a.attempt === request.attempt) || assignment.currentAttempt;
+    if (attempt) {
+      request.newGrade = this._gradeAttempt(assignment, attempt, newGrade);
+      assignment._regrade(assignment.combinedAttemptGrade());
+    } else {
+      request.newGrade = newGrade;
+      assignment._regrade(newGrade);
+    }
 
-      const grade = Math.floor(Math.random() * 101); // 0–100
-      assignment.setGrade(grade);
-      this._notifyObserver(assignment);
-      this._recalculateOverallGrade();
-    }, 500);
+    this._resolveRegrade(request, "approved", response);
+    this._notifyObserver(assignment);
+    this._recalculateOverallGrade();
+    return request;
+  }
+
+  denyRegrade(assignmentName, response = "") {
+    const { request } = this._requireRegrade(assignmentName);
+    this._resolveRegrade(request, "denied", response);
+    return request;
   }
 
-  // Return current overall average
+  // Return current overall grade
   getGrade() {
     return this._recalculateOverallGrade();
   }
+
+  toSnapshot() {
+    return {
+      id: this.id,
+      fullName: this.fullName,
+      email: this.email,
+      notificationPreferences: { ...this.notificationPreferences },
+      assignments: this.assignmentStatuses.map((a) => a.toSnapshot()),
+    };
+  }
+
+  // options.observer, options.clock, options.graders (assignment name → grader for callback graders)
+  static fromSnapshot(data, options = {}) {
+    const graders = options.graders || {};
+    const student = new Student(data.fullName, "", options.observer, data.id);
+    // as stored, not re-validated: snapshots from before emails were checked may hold any text
+    student.email = data.email || "";
+
+    student.notificationPreferences = {
+      ...student.notificationPreferences,
+      ...data.notificationPreferences,
+    };
+    student.assignmentStatuses = data.assignments.map((a) =>
+      Assignment.fromSnapshot(a, { clock: options.clock, grader: graders[a.assignmentName] })
+    );
+    return student;
+  }
+}
+
+// ====== Bulk operations ======
+// Runs `task(student)` for every student, at most `concurrency` at a time, pausing
+// every BULK_YIELD_EVERY students so timers, I/O and an abort can get in even
+// when the tasks themselves never wait.
+// options: concurrency, signal (AbortSignal: no new students start once aborted),
+// onProgress({ completed, total, succeeded, failed, result }) after each student.
+// Never rejects for a student's failure; everything is reported per student:
+//   { total, succeeded, failed, cancelled, aborted,
+//     results: [{ studentId, student, status: "fulfilled" | "rejected" | "cancelled", error? }] }
+async function runBulk(students, task, options = {}) {
+  const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_BULK_CONCURRENCY));
+  const { signal, onProgress } = options;
+  const total = students.length;
+  const results = new Array(total);
+  const counts = { completed: 0, succeeded: 0, failed: 0 };
+  let next = 0;
+  let sinceYield = 0;
+  let pause = null;
+
+  // one shared pause, so every worker waits for the same turn of the event loop
+  const yieldToEventLoop = () => {
+    if (!pause) {
+      pause = new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+        pause = null;
+        sinceYield = 0;
+      });
+    }
+    return pause;
+  };
+
+  const worker = async () => {
+    for (;;) {
+      if (sinceYield >= BULK_YIELD_EVERY) await yieldToEventLoop();
+      if (next >= total || (signal && signal.aborted)) return;
+
+      const index = next++;
+      sinceYield++;
+      const student = students[index];
+      const result = { studentId: student.id, student: student.fullName };
+
+      try {
+        await task(student);
+        result.status = "fulfilled";
+        counts.succeeded++;
+      } catch (error) {
+        result.status = "rejected";
+        result.error = error;
+        counts.failed++;
+      }
+
+      results[index] = result;
+      counts.completed++;
+      if (onProgress) {
+        try {
+          onProgress({ ...counts, total, result });
+        } catch (err) {
+          console.error("Bulk progress callback failed:", err);
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+
+  // anything that never started was cancelled by the signal
+  let cancelled = 0;
+  students.forEach((student, index) => {
+    if (results[index]) return;
+    results[index] = { studentId: student.id, student: student.fullName, status: "cancelled" };
+    cancelled++;
+  });
+
+  return {
+    total,
+    succeeded: counts.succeeded,
+    failed: counts.failed,
+    cancelled,
+    aborted: Boolean(signal && signal.aborted),
+    results,
+  };
 }
 
 // Manages the class list and class-wide operations
 class ClassList {
-  constructor(observer) {
+  // options.grader: default grader for every assignment in this class
+  // options.gradingScheme: category weights / drop rules (see computeGradeBreakdown)
+  // options.latePolicy: default LatePolicy for assignments with a due date
+  // options.clock: timer source for the whole lifecycle (systemClock by default)
+  // options.events: EventBus to publish on (a fresh one by default)
+  // options.silent: skip the console message in addStudent (the "added" event still fires)
+  constructor(observer, options = {}) {
     this.students = [];
     this.observer = observer;
+    this.events = options.events || new EventBus();
+    this.silent = Boolean(options.silent);
+    this.grader = options.grader || null;
+    this.latePolicy = options.latePolicy || null;
+    this.clock = options.clock || systemClock;
+    this.gradingScheme = null;
+    this.assignmentDefinitions = {}; // name → Assignment options
+    this.groups = []; // { groupId, studentIds: [] }; a student is in at most one group
+
+    if (options.gradingScheme) {
+      this.setGradingScheme(options.gradingScheme);
+    }
+  }
+
+  // Replace the grading scheme (null for a plain average) and refresh every student's grade
+  setGradingScheme(scheme) {
+    if (scheme) validateGradingScheme(scheme);
+    this.gradingScheme = scheme || null;
+    this.students.forEach((s) => s._recalculateOverallGrade());
+  }
+
+  // Configure an assignment before release: grader, passThreshold, letterScale,
+  // category, maxPoints, dueDate, latePolicy, maxAttempts, attemptPolicy,
+  // groupWork (members of a group start, submit and are graded together)
+  defineAssignment(assignmentName, options = {}) {
+    this.assignmentDefinitions[assignmentName] = {
+      ...this.assignmentDefinitions[assignmentName],
+      ...options,
+    };
+  }
+
+  getAssignmentDefinition(assignmentName) {
+    return this.assignmentDefinitions[assignmentName] || {};
+  }
+
+  _publish(type, student, assignment, details) {
+    this.events.publish(buildEvent(type, student, assignment, this.clock.now(), details), student);
+  }
+
+  // Versioned, JSON-safe copy of the roster and gradebook
+  toSnapshot() {
+    const definitions = {};
+    Object.entries(this.assignmentDefinitions).forEach(([name, options]) => {
+      definitions[name] = serializeAssignmentOptions(options);
+    });
+
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: this.clock.now(),
+      grader: this.grader ? graderToSnapshot(this.grader) : null,
+      latePolicy: this.latePolicy ? this.latePolicy.toSnapshot() : null,
+      gradingScheme: this.gradingScheme,
+      assignmentDefinitions: definitions,
+      groups: this.groups.map((g) => ({ groupId: g.groupId, studentIds: [...g.studentIds] })),
+      students: this.students.map((s) => s.toSnapshot()),
+    };
+  }
+
+  // Rebuild a ClassList from toSnapshot() output and re-arm any pending timers.
+  // options: observer, clock, events, silent, grader (for a saved callback or plain-object
+  // class grader), graders (assignment name → grader for those saved on assignments)
+  static fromSnapshot(snapshot, options = {}) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported snapshot version ${snapshot && snapshot.version} (expected ${SNAPSHOT_VERSION}).`
+      );
+    }
+
+    const graders = options.graders || {};
+    const classList = new ClassList(options.observer, {
+      clock: options.clock,
+      events: options.events,
+      silent: options.silent,
+      grader: graderFromSnapshot(snapshot.grader, options.grader || null),
+      latePolicy: snapshot.latePolicy ? new LatePolicy(snapshot.latePolicy) : null,
+      gradingScheme: snapshot.gradingScheme,
+    });
+
+    Object.entries(snapshot.assignmentDefinitions || {}).forEach(([name, data]) => {
+      classList.assignmentDefinitions[name] = deserializeAssignmentOptions(data, graders[name]);
+    });
+
+    classList.groups = (snapshot.groups || []).map((g) => ({
+      groupId: g.groupId,
+      studentIds: [...g.studentIds],
+    }));
+
+    // added quietly: these students aren't new to the class
+    snapshot.students.forEach((data) => {
+      const student = Student.fromSnapshot(data, {
+        observer: options.observer,
+        clock: classList.clock,
+        graders,
+      });
+      student._classList = classList;
+      student._recalculateOverallGrade();
+      classList.students.push(student);
+    });
+
+    classList.students.forEach((s) => s._resumeTimers());
+    return classList;
   }
 
-  // Add a student and print the required message
+  // Add a student and print the required message.
+  // Throws DuplicateStudentError if the student, their ID or their email is already here.
   addStudent(student) {
-    if (student && !this.students.includes(student)) {
-      this.students.push(student);
+    if (!student) {
+      throw new Error("addStudent needs a Student.");
+    }
+
+    const existing =
+      this.findStudentById(student.id) ||
+      (student.email ? this.findStudentByEmail(student.email) : null);
+    if (existing) {
+      const reason = existing === student || existing.id === student.id
+        ? `${student.fullName} is already on the class list.`
+        : `${student.email} is already used by ${existing.fullName}.`;
+      throw new DuplicateStudentError(reason, existing);
+    }
+
+    student._classList = this;
+    this.students.push(student);
+    student._recalculateOverallGrade();
+    if (!this.silent) {
       console.log(`${student.fullName} has been added to the classlist.`);
     }
+    this._publish("added", student);
   }
 
-  // Remove by object or by full name string
-  removeStudent(studentOrName) {
-    const name =
-      typeof studentOrName === "string"
-        ? studentOrName
-        : studentOrName.fullName;
+  // A Student on this list, or an ID / email / (unambiguous) full name; null if not found
+  _lookupStudent(studentOrKey) {
+    return typeof studentOrKey === "string"
+      ? this.resolveStudent(studentOrKey)
+      : this.findStudentById(studentOrKey && studentOrKey.id);
+  }
+
+  // Remove by object, ID, email or (unambiguous) full name. Returns the removed student or null.
+  removeStudent(studentOrKey) {
+    const student = this._lookupStudent(studentOrKey);
+    if (!student) return null;
+
+    this.removeFromGroup(student);
+    this.students = this.students.filter((s) => s !== student);
+    this._publish("removed", student);
+    if (student._classList === this) student._classList = null;
+    return student;
+  }
+
+  // ====== Groups ======
+  // Members of a group start, submit and are graded together on group work
+  // (assignments defined with groupWork: true). Everything else stays individual.
+
+  // members: Students or ID / email / name keys. Throws if any is already in a group.
+  createGroup(groupId, members = []) {
+    if (!groupId) {
+      throw new Error("A group needs a groupId.");
+    }
+    if (this.getGroup(groupId)) {
+      throw new Error(`There is already a group ${groupId}.`);
+    }
+
+    const group = { groupId, studentIds: [] };
+    this.groups.push(group);
+    try {
+      members.forEach((member) => this.addToGroup(groupId, member));
+    } catch (err) {
+      this.groups = this.groups.filter((g) => g !== group);
+      throw err;
+    }
+    return group;
+  }
+
+  getGroup(groupId) {
+    return this.groups.find((g) => g.groupId === groupId) || null;
+  }
+
+  removeGroup(groupId) {
+    const group = this.getGroup(groupId);
+    this.groups = this.groups.filter((g) => g !== group);
+    return group;
+  }
+
+  addToGroup(groupId, studentOrKey) {
+    const group = this.getGroup(groupId);
+    if (!group) {
+      throw new Error(`No group ${groupId}.`);
+    }
+    const student = this._lookupStudent(studentOrKey);
+    if (!student) {
+      throw new Error(`No student matches ${studentOrKey}.`);
+    }
+
+    const current = this.groupOf(student);
+    if (current === group) return group;
+    if (current) {
+      throw new Error(`${student.fullName} is already in group ${current.groupId}.`);
+    }
+
+    group.studentIds.push(student.id);
+    return group;
+  }
+
+  // Take a student out of their group; returns that group or null
+  removeFromGroup(studentOrKey) {
+    const student = this._lookupStudent(studentOrKey);
+    const group = student && this.groupOf(student);
+    if (!group) return null;
+
+    group.studentIds = group.studentIds.filter((id) => id !== student.id);
+    return group;
+  }
+
+  groupOf(student) {
+    return this.groups.find((g) => g.studentIds.includes(student.id)) || null;
+  }
 
-    this.students = this.students.filter((s) => s.fullName !== name);
+  // Everyone in the student's group, the student included ([] if ungrouped)
+  groupMembersOf(student) {
+    const group = this.groupOf(student);
+    if (!group) return [];
+    return group.studentIds.map((id) => this.findStudentById(id)).filter(Boolean);
   }
 
-  // Look up student by full name
+  // Look up student by full name (the first one, if several share it)
   findStudentByName(name) {
     return this.students.find((s) => s.fullName === name) || null;
   }
 
+  findStudentById(id) {
+    return this.students.find((s) => s.id === id) || null;
+  }
+
+  findStudentByEmail(email) {
+    const normalized = normalizeEmail(email);
+    return this.students.find((s) => s.email === normalized) || null;
+  }
+
+  // ID, then email, then exact name. Throws AmbiguousStudentError if the name is shared.
+  resolveStudent(key) {
+    const byKey = this.findStudentById(key) || this.findStudentByEmail(key);
+    if (byKey) return byKey;
+
+    const named = this.students.filter((s) => s.fullName === key);
+    if (named.length > 1) throw new AmbiguousStudentError(key, named);
+    return named[0] || null;
+  }
+
+  // Fuzzy name search, best match first
+  searchStudents(query, limit = 10) {
+    const q = String(query || "").trim().toLowerCase();
+    if (!q) return [];
+
+    return this.students
+      .map((student) => ({ student, score: fuzzyNameScore(q, student.fullName.toLowerCase()) }))
+      .filter((m) => m.score > 0)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit)
+      .map((m) => m.student);
+  }
+
+  // Does this student still owe work (on one assignment, or on any)?
+  _hasOutstanding(student, assignmentName) {
+    if (assignmentName) {
+      const assignment = student._findAssignment(assignmentName);
+      return Boolean(
+        assignment &&
+        assignment.status !== "submitted" &&
+        assignment.status !== "Pass" &&
+        assignment.status !== "Fail"
+      );
+    }
+
+    return student.assignmentStatuses.some((a) =>
+      ["released", "working", "final reminder"].includes(a.status)
+    );
+  }
+
   // Find students with outstanding work
   // If assignmentName provided: check that specific assignment.
   // If not: any assignment that is released/working/final reminder.
   findOutstandingAssignments(assignmentName) {
+    return this.students
+      .filter((student) => this._hasOutstanding(student, assignmentName))
+      .map((student) => student.fullName);
+  }
+
+  // Submitted-late work, optionally for one assignment
+  findLateSubmissions(assignmentName) {
     const result = [];
 
-    if (assignmentName) {
-      this.students.forEach((student) => {
-        const assignment = student.assignmentStatuses.find(
-          (a) => a.assignmentName === assignmentName
-        );
-        if (
-          assignment &&
-          assignment.status !== "submitted" &&
-          assignment.status !== "Pass" &&
-          assignment.status !== "Fail"
-        ) {
-          result.push(student.fullName);
-        }
-      });
-    } else {
-      this.students.forEach((student) => {
-        const hasOutstanding = student.assignmentStatuses.some((a) =>
-          ["released", "working", "final reminder"].includes(a.status)
-        );
-        if (hasOutstanding) {
-          result.push(student.fullName);
-        }
+    this.students.forEach((student) => {
+      student.assignmentStatuses.forEach((a) => {
+        if (assignmentName && a.assignmentName !== assignmentName) return;
+        if (!a.isLate) return;
+        result.push({
+          studentId: student.id,
+          student: student.fullName,
+          assignmentName: a.assignmentName,
+          lateBy: a.lateBy,
+          latePenalty: a.latePenalty,
+        });
       });
-    }
+    });
 
     return result;
   }
 
-  // Release assignments to all students using Promise.all in parallel
-  async releaseAssignmentsParallel(assignmentNames) {
-    const releasePromises = assignmentNames.map((assignmentName) =>
-      Promise.all(
-        this.students.map(
-          (student) =>
-            new Promise((resolve) => {
-              setTimeout(() => {
-                student.updateAssignmentStatus(assignmentName);
-                resolve();
-              }, 0);
-            })
-        )
+  // Timestamped status changes for every student, optionally for one assignment
+  getTransitionHistory(assignmentName) {
+    return this.students
+      .flatMap((student) =>
+        student
+          .getTransitionHistory(assignmentName)
+          .map((entry) => ({ studentId: student.id, student: student.fullName, ...entry }))
       )
-    );
-
-    await Promise.all(releasePromises);
+      .sort((x, y) => x.at - y.at);
   }
 
-  // Send a reminder for a specific assignment and force submission
-  sendReminder(assignmentName) {
-    const outstanding = this.findOutstandingAssignments(assignmentName);
+  // Release assignments to every student, a limited number of students at a time.
+  // options / result: see runBulk.
+  async releaseAssignmentsParallel(assignmentNames, options = {}) {
+    return runBulk(
+      this.students.slice(),
+      async (student) => {
+        assignmentNames.forEach((name) => student.updateAssignmentStatus(name));
+      },
+      options
+    );
+  }
 
-    this.students.forEach((student) => {
-      if (!outstanding.includes(student.fullName)) return;
+  // Send a reminder for a specific assignment and force submission from everyone
+  // still outstanding. options / result: see runBulk (late rejections show up as
+  // "rejected" results).
+  async sendReminder(assignmentName, options = {}) {
+    const outstanding = this.students.filter((student) =>
+      this._hasOutstanding(student, assignmentName)
+    );
 
+    return runBulk(outstanding, async (student) => {
       let assignment = student.assignmentStatuses.find(
         (a) => a.assignmentName === assignmentName
       );
 
       if (!assignment) {
-        student.updateAssignmentStatus(assignmentName);
-        assignment = student.assignmentStatuses.find(
-          (a) => a.assignmentName === assignmentName
-        );
+        assignment = student._ensureAssignment(assignmentName);
       }
 
-      assignment.status = "final reminder";
+      if (assignment.status !== "final reminder") {
+        assignment.transitionTo("final reminder");
+      }
 
       // Notify via the shared observer instead of using student's private helper
       if (this.observer && typeof this.observer.notify === "function") {
         this.observer.notify(student, assignment, true);
       }
+      this._publish("reminder", student, assignment);
 
-      if (assignment._workTimeoutId) {
-        clearTimeout(assignment._workTimeoutId);
-        assignment._workTimeoutId = null;
-      }
-
+      student._cancelAutoSubmit(assignment);
       student.submitAssignment(assignmentName);
-    });
+    }, options);
   }
 }
 
 // Export for Gradescope / tests
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    ASSIGNMENT_TRANSITIONS,
+    ATTEMPT_POLICIES,
+    SNAPSHOT_VERSION,
+    systemClock,
+    ManualClock,
+    InvalidTransitionError,
+    LateSubmissionError,
+    RegradeRequestError,
+    GraderInputError,
+    LatePolicy,
+    STANDARD_LETTER_SCALE,
     Assignment,
+    RandomGrader,
+    ManualGrader,
+    RubricGrader,
+    CallbackGrader,
+    InvalidEmailError,
+    DuplicateStudentError,
+    AmbiguousStudentError,
+    normalizeEmail,
+    isValidEmail,
     Student,
     Observer,
+    EVENT_TYPES,
+    EventBus,
+    ConsoleSink,
+    MemorySink,
+    JsonLinesFileSink,
+    EmailOutboxSink,
+    Notifier,
     ClassList,
   };
 }
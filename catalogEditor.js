@@ -0,0 +1,151 @@
+// ====== Catalog editing ======
+// The loaded catalog as a history of snapshots (arrays of plain course
+// records, shaped like courses.json), so undo / redo just move between them,
+// plus the edits themselves and a diff against the catalog as loaded. An edit
+// never changes a record in place: it builds a new array with a new record.
+
+const MAX_EDIT_HISTORY = 100; // edits kept for undo (the loaded catalog is always kept)
+
+class EditHistory {
+    constructor(records) {
+        this.entries = [{ label: "Load catalog", records }];
+        this.index = 0;
+    }
+
+    get current() {
+        return this.entries[this.index].records;
+    }
+
+    // The catalog as loaded, before any edit
+    get original() {
+        return this.entries[0].records;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    // Label of the edit undo would reverse / redo would repeat (null if none)
+    get undoLabel() {
+        return this.canUndo ? this.entries[this.index].label : null;
+    }
+
+    get redoLabel() {
+        return this.canRedo ? this.entries[this.index + 1].label : null;
+    }
+
+    // Make `records` the current catalog; edits that could have been redone are dropped
+    push(label, records) {
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push({ label, records });
+        if (this.entries.length > MAX_EDIT_HISTORY + 1) this.entries.splice(1, 1);
+        this.index = this.entries.length - 1;
+    }
+
+    // Step back / forward; returns the label of the edit undone or redone, or null
+    undo() {
+        if (!this.canUndo) return null;
+        this.index--;
+        return this.entries[this.index + 1].label;
+    }
+
+    redo() {
+        if (!this.canRedo) return null;
+        this.index++;
+        return this.entries[this.index].label;
+    }
+}
+
+// ====== Edits ======
+
+/**
+ * Put `record` in the catalog: in place of the course with `replaceId` (an
+ * edit, which may rename it), or at the end when replaceId is null (a new course).
+ */
+function upsertCourseRecord(records, record, replaceId = null) {
+    const index = replaceId === null ? -1 : records.findIndex(r => r.id === replaceId);
+    if (index === -1) return [...records, record];
+    return records.map((r, i) => (i === index ? record : r));
+}
+
+function removeCourseRecord(records, id) {
+    return records.filter(r => r.id !== id);
+}
+
+// "CS101" → "CS101A", "CS101A" → "CS101B": the first ID not already in the catalog
+function nextFreeCourseId(records, id) {
+    const taken = new Set(records.map(r => r.id));
+    const base = /^(.*\d)[A-Z]?$/.exec(id);
+    const stem = base ? base[1] : id;
+
+    for (let code = 65; code <= 90; code++) {
+        const candidate = stem + String.fromCharCode(code);
+        if (!taken.has(candidate)) return candidate;
+    }
+    let n = 2;
+    while (taken.has(`${id}-${n}`)) n++;
+    return `${id}-${n}`;
+}
+
+// A copy of course `id` under a free ID, placed right after it. Returns { records, record }.
+function duplicateCourseRecord(records, id) {
+    const index = records.findIndex(r => r.id === id);
+    if (index === -1) return { records, record: null };
+
+    const record = { ...records[index], id: nextFreeCourseId(records, id) };
+    return { records: [...records.slice(0, index + 1), record, ...records.slice(index + 1)], record };
+}
+
+// ====== Diff ======
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+function sameFieldValue(a, b) {
+    if (isEmptyValue(a) && isEmptyValue(b)) return true;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * What changed between two catalogs, matching courses by ID (a renamed course
+ * shows as removed + added). Returns
+ * { added: [record], removed: [record], changed: [{ id, changes: [{ field, before, after }] }] }.
+ */
+function diffCatalogs(before, after) {
+    const beforeById = new Map(before.map(r => [r.id, r]));
+    const afterById = new Map(after.map(r => [r.id, r]));
+    const changed = [];
+
+    after.forEach(record => {
+        const old = beforeById.get(record.id);
+        if (!old) return;
+
+        const fields = [...new Set([...Object.keys(COURSE_SCHEMA), ...Object.keys(old), ...Object.keys(record)])];
+        const changes = fields
+            .filter(field => !sameFieldValue(old[field], record[field]))
+            .map(field => ({ field, before: old[field], after: record[field] }));
+        if (changes.length > 0) changed.push({ id: record.id, changes });
+    });
+
+    return {
+        added: after.filter(r => !beforeById.has(r.id)),
+        removed: before.filter(r => !afterById.has(r.id)),
+        changed,
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        EditHistory,
+        upsertCourseRecord,
+        removeCourseRecord,
+        nextFreeCourseId,
+        duplicateCourseRecord,
+        diffCatalogs,
+    };
+}
@@ -0,0 +1,194 @@
+// ====== Stored catalogs & preferences ======
+// Catalogs are kept in IndexedDB so a visit can pick up where the last one
+// left off (and work offline): the last catalog shown, plus any the user saved
+// under a name. Filters and sort, favorites and notes are small, so they go in
+// localStorage.
+
+const CATALOG_DB = { name: "course-explorer", version: 1 };
+const NAMED_STORE = "catalogs"; // { name, records, source, savedAt }
+const SESSION_STORE = "session"; // the last catalog shown, under LAST_CATALOG_KEY
+const LAST_CATALOG_KEY = "last";
+const PREFERENCES_KEY = "courseExplorer.preferences";
+const PREFERENCE_KEYS = ["dept", "level", "credits", "fav", "q", "sort"]; // from currentExplorerState()
+const FAVORITES_KEY = "courseExplorer.favorites"; // [course ID]
+const NOTES_KEY = "courseExplorer.notes";         // { course ID: text }
+
+let catalogDbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openCatalogDb() {
+    if (!catalogDbPromise) {
+        if (typeof indexedDB === "undefined") return Promise.reject(new Error("This browser has no IndexedDB."));
+
+        const request = indexedDB.open(CATALOG_DB.name, CATALOG_DB.version);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(NAMED_STORE)) db.createObjectStore(NAMED_STORE, { keyPath: "name" });
+            if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE);
+        };
+        catalogDbPromise = requestToPromise(request).catch(err => {
+            catalogDbPromise = null; // let a later call try again
+            throw err;
+        });
+    }
+    return catalogDbPromise;
+}
+
+// Run one request against a store and wait for its transaction to finish
+async function withStore(storeName, mode, makeRequest) {
+    const db = await openCatalogDb();
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await requestToPromise(makeRequest(tx.objectStore(storeName)));
+    await done;
+    return result;
+}
+
+// ====== Named catalogs ======
+
+function saveNamedCatalog(name, records, source = null) {
+    return withStore(NAMED_STORE, "readwrite", store =>
+        store.put({ name, records, source, savedAt: new Date().toISOString() })
+    );
+}
+
+// { name, records, source, savedAt }, or undefined if there is none by that name
+function loadNamedCatalog(name) {
+    return withStore(NAMED_STORE, "readonly", store => store.get(name));
+}
+
+// [{ name, count, savedAt }] by name, without the records
+async function listNamedCatalogs() {
+    const entries = await withStore(NAMED_STORE, "readonly", store => store.getAll());
+    return entries
+        .map(e => ({ name: e.name, count: e.records.length, savedAt: e.savedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function deleteNamedCatalog(name) {
+    return withStore(NAMED_STORE, "readwrite", store => store.delete(name));
+}
+
+// ====== Last catalog shown ======
+
+function saveLastCatalog(records, source = null) {
+    return withStore(SESSION_STORE, "readwrite", store =>
+        store.put({ records, source, savedAt: new Date().toISOString() }, LAST_CATALOG_KEY)
+    );
+}
+
+function loadLastCatalog() {
+    return withStore(SESSION_STORE, "readonly", store => store.get(LAST_CATALOG_KEY));
+}
+
+// ====== localStorage values ======
+
+function readStored(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+function writeStored(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        // storage full or disabled: the value just isn't remembered
+    }
+}
+
+function savePreferences(state) {
+    const prefs = {};
+    PREFERENCE_KEYS.forEach(key => {
+        if (state[key]) prefs[key] = state[key];
+    });
+    writeStored(PREFERENCES_KEY, prefs);
+}
+
+// The remembered filters and sort ({} if none), shaped like readStateFromUrl()
+function loadPreferences() {
+    const prefs = readStored(PREFERENCES_KEY, {});
+    const state = {};
+    PREFERENCE_KEYS.forEach(key => {
+        if (typeof prefs[key] === "string") state[key] = prefs[key];
+    });
+    return state;
+}
+
+function saveFavorites(courseIds) {
+    writeStored(FAVORITES_KEY, courseIds);
+}
+
+function loadFavorites() {
+    const ids = readStored(FAVORITES_KEY, []);
+    return Array.isArray(ids) ? ids.filter(id => typeof id === "string") : [];
+}
+
+// Notes are kept by course ID, so they survive reloading or editing the catalog
+function saveNotes(notes) {
+    writeStored(NOTES_KEY, notes);
+}
+
+function loadNotes() {
+    const notes = readStored(NOTES_KEY, {});
+    return notes && typeof notes === "object" && !Array.isArray(notes) ? notes : {};
+}
+
+// ====== Clearing ======
+
+/**
+ * Forget everything stored: saved and last catalogs, preferences, favorites,
+ * notes, the service worker's offline copies of the page and the service
+ * worker itself (registered and filled again on the next visit).
+ */
+async function clearStoredData() {
+    try {
+        [PREFERENCES_KEY, FAVORITES_KEY, NOTES_KEY].forEach(key => localStorage.removeItem(key));
+    } catch (err) {
+        // nothing stored
+    }
+
+    if (typeof indexedDB !== "undefined") {
+        await withStore(NAMED_STORE, "readwrite", store => store.clear());
+        await withStore(SESSION_STORE, "readwrite", store => store.clear());
+    }
+    if (typeof caches !== "undefined") {
+        const keys = await caches.keys();
+        await Promise.all(keys.map(key => caches.delete(key)));
+    }
+    if (typeof navigator !== "undefined" && navigator.serviceWorker) {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations.map(registration => registration.unregister()));
+    }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        saveNamedCatalog,
+        loadNamedCatalog,
+        listNamedCatalogs,
+        deleteNamedCatalog,
+        saveLastCatalog,
+        loadLastCatalog,
+        savePreferences,
+        loadPreferences,
+        saveFavorites,
+        loadFavorites,
+        saveNotes,
+        loadNotes,
+        clearStoredData,
+    };
+}
@@ -0,0 +1,244 @@
+// classAnalytics.js
+"use strict";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Submission delays (release → submit) are bucketed at these upper bounds
+const TIMING_BUCKETS = [
+  { label: "< 1 hour", maxMs: HOUR_MS },
+  { label: "1–24 hours", maxMs: 24 * HOUR_MS },
+  { label: "1–3 days", maxMs: 72 * HOUR_MS },
+  { label: "3–7 days", maxMs: 168 * HOUR_MS },
+  { label: "> 7 days", maxMs: Infinity },
+];
+
+// ====== Basic statistics ======
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Population standard deviation (the class is the whole population)
+function standardDeviation(values) {
+  if (values.length === 0) return null;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+}
+
+// Ten 10-point bins over 0–100%; extra credit above 100 lands in the top bin
+function gradeHistogram(percentages) {
+  const bins = Array.from({ length: 10 }, (_, i) => ({
+    range: i === 9 ? "90–100" : `${i * 10}–${i * 10 + 9}`,
+    count: 0,
+  }));
+  percentages.forEach((p) => {
+    bins[Math.min(Math.max(Math.floor(p / 10), 0), 9)].count++;
+  });
+  return bins;
+}
+
+// ====== Per-assignment statistics ======
+
+function assignmentNames(classList) {
+  const names = Object.keys(classList.assignmentDefinitions);
+  classList.students.forEach((s) =>
+    s.assignmentStatuses.forEach((a) => {
+      if (!names.includes(a.assignmentName)) names.push(a.assignmentName);
+    })
+  );
+  return names;
+}
+
+function assignmentsNamed(classList, assignmentName) {
+  return classList.students
+    .map((s) => s._findAssignment(assignmentName))
+    .filter(Boolean);
+}
+
+// Mean / median / standard deviation / pass rate / histogram of grade percentages
+function assignmentStats(classList, assignmentName) {
+  const assignments = assignmentsNamed(classList, assignmentName);
+  const graded = assignments.filter((a) => a._graded);
+  const percentages = graded.map((a) => a.percentage);
+
+  return {
+    assignmentName,
+    released: assignments.length,
+    graded: graded.length,
+    mean: mean(percentages),
+    median: median(percentages),
+    standardDeviation: standardDeviation(percentages),
+    min: percentages.length ? Math.min(...percentages) : null,
+    max: percentages.length ? Math.max(...percentages) : null,
+    passRate: graded.length
+      ? graded.filter((a) => a.status === "Pass").length / graded.length
+      : null,
+    histogram: gradeHistogram(percentages),
+  };
+}
+
+// ====== Submission timing ======
+
+// How long after release work was submitted, and how it landed against the due date
+function submissionTimings(classList, assignmentName) {
+  const assignments = assignmentName
+    ? assignmentsNamed(classList, assignmentName)
+    : classList.students.flatMap((s) => s.assignmentStatuses);
+
+  const delays = [];
+  const relativeToDue = { early: 0, late: 0, noDueDate: 0 };
+
+  assignments.forEach((a) => {
+    if (a.submittedAt === null || a.submittedAt === undefined) return;
+
+    delays.push(a.submittedAt - a.history[0].at);
+    if (a.dueDate === null) relativeToDue.noDueDate++;
+    else if (a.isLate) relativeToDue.late++;
+    else relativeToDue.early++;
+  });
+
+  const buckets = TIMING_BUCKETS.map((b) => ({ label: b.label, count: 0 }));
+  delays.forEach((ms) => {
+    buckets[TIMING_BUCKETS.findIndex((b) => ms < b.maxMs)].count++;
+  });
+
+  return {
+    assignmentName: assignmentName || null,
+    submitted: delays.length,
+    meanDelayMs: mean(delays),
+    medianDelayMs: median(delays),
+    buckets,
+    relativeToDue,
+  };
+}
+
+// ====== At-risk students ======
+
+// A student is at risk with a low overall grade or repeated "final reminder" states.
+// options: gradeThreshold (default 60), reminderThreshold (default 2)
+function findAtRiskStudents(classList, options = {}) {
+  const gradeThreshold =
+    typeof options.gradeThreshold === "number" ? options.gradeThreshold : 60;
+  const reminderThreshold =
+    typeof options.reminderThreshold === "number" ? options.reminderThreshold : 2;
+
+  return classList.students
+    .map((student) => {
+      const overallGrade = student.getGrade();
+      const finalReminders = student
+        .getTransitionHistory()
+        .filter((entry) => entry.to === "final reminder").length;
+
+      const reasons = [];
+      if (overallGrade !== null && overallGrade < gradeThreshold) {
+        reasons.push(`overall grade ${formatNumber(overallGrade)} is below ${gradeThreshold}`);
+      }
+      if (finalReminders >= reminderThreshold) {
+        reasons.push(`${finalReminders} final reminders`);
+      }
+
+      return { studentId: student.id, student: student.fullName, overallGrade, finalReminders, reasons };
+    })
+    .filter((entry) => entry.reasons.length > 0);
+}
+
+// ====== Report ======
+
+function formatNumber(value) {
+  return value === null || value === undefined ? "–" : String(Math.round(value * 100) / 100);
+}
+
+function formatPercent(ratio) {
+  return ratio === null ? "–" : `${Math.round(ratio * 100)}%`;
+}
+
+function formatDuration(ms) {
+  if (ms === null) return "–";
+  if (ms < HOUR_MS) return `${Math.round(ms / 60000)} min`;
+  if (ms < 48 * HOUR_MS) return `${formatNumber(ms / HOUR_MS)} h`;
+  return `${formatNumber(ms / (24 * HOUR_MS))} days`;
+}
+
+// Snapshot of the class analytics; render with toJSON() or toText()
+class ClassReport {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  toJSON() {
+    return {
+      generatedAt: this.generatedAt,
+      studentCount: this.studentCount,
+      assignments: this.assignments,
+      timings: this.timings,
+      atRisk: this.atRisk,
+    };
+  }
+
+  toText() {
+    const lines = [
+      `Class report (${this.studentCount} student(s), generated ${new Date(this.generatedAt).toISOString()})`,
+      "",
+      "Assignments",
+    ];
+
+    if (this.assignments.length === 0) lines.push("  (none released)");
+    this.assignments.forEach((s) => {
+      lines.push(
+        `  ${s.assignmentName}: ${s.graded}/${s.released} graded, mean ${formatNumber(s.mean)}, ` +
+          `median ${formatNumber(s.median)}, sd ${formatNumber(s.standardDeviation)}, ` +
+          `pass rate ${formatPercent(s.passRate)}`
+      );
+      const bars = s.histogram
+        .filter((b) => b.count > 0)
+        .map((b) => `    ${b.range.padStart(6)} | ${"#".repeat(b.count)} ${b.count}`);
+      lines.push(...bars);
+    });
+
+    const t = this.timings;
+    lines.push(
+      "",
+      "Submission timing",
+      `  ${t.submitted} submitted, median ${formatDuration(t.medianDelayMs)} after release ` +
+        `(${t.relativeToDue.early} on time, ${t.relativeToDue.late} late, ${t.relativeToDue.noDueDate} without a due date)`
+    );
+    t.buckets.forEach((b) => lines.push(`    ${b.label.padEnd(10)} | ${b.count}`));
+
+    lines.push("", "At-risk students");
+    if (this.atRisk.length === 0) lines.push("  (none)");
+    this.atRisk.forEach((r) => lines.push(`  ${r.student}: ${r.reasons.join("; ")}`));
+
+    return lines.join("\n");
+  }
+}
+
+// Everything above for the whole class. options go to findAtRiskStudents.
+function buildClassReport(classList, options = {}) {
+  return new ClassReport({
+    generatedAt: classList.clock.now(),
+    studentCount: classList.students.length,
+    assignments: assignmentNames(classList).map((name) => assignmentStats(classList, name)),
+    timings: submissionTimings(classList),
+    atRisk: findAtRiskStudents(classList, options),
+  });
+}
+
+module.exports = {
+  mean,
+  median,
+  standardDeviation,
+  gradeHistogram,
+  assignmentStats,
+  submissionTimings,
+  findAtRiskStudents,
+  ClassReport,
+  buildClassReport,
+};
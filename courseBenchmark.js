@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// courseBenchmark.js
+"use strict";
+
+// Times the course explorer's filtering (filterCourses: search, facet counts and
+// relevance sort) on a large generated catalog, checking every course as the
+// page did before courseIndex.js against narrowing the search with the
+// inverted index first. The page's rendering isn't measured here; only the
+// list rows in view are drawn, whatever the catalog size.
+
+const fs = require("fs");
+
+Object.assign(global, require("./courseQuery"));
+const { buildCourseIndex, filterCourses } = require("./courseIndex");
+
+const USAGE = `Usage: node courseBenchmark.js [--courses N] [--runs N] [--write catalog.json] [--json]
+
+Options:
+  --courses <n>     size of the generated catalog (default: 50000)
+  --runs <n>        timed runs per search; the median is reported (default: 5)
+  --write <path>    also save the generated catalog, to load it in the page
+  --json            print JSON instead of a table`;
+
+const QUERIES = [
+  "data",
+  "intro",
+  '"machine learning"',
+  "instructor:kim",
+  "dept:physics level>=300",
+  "kim OR lee credits:4",
+  "design -studio",
+  "title:analysis semester:fall",
+  "zz",
+];
+
+// ====== Argument parsing ======
+
+function parseArgs(argv) {
+  const options = { courses: 50000, runs: 5, write: null, json: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") options.json = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else if (arg === "--courses" || arg === "--runs") {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 1) throw new Error(`${arg} needs a whole number above 0.`);
+      options[arg.slice(2)] = value;
+    } else if (arg === "--write") {
+      if (i + 1 >= argv.length) throw new Error("--write needs a path.");
+      options.write = argv[++i];
+    } else {
+      throw new Error(`Unknown option "${arg}".`);
+    }
+  }
+  return options;
+}
+
+// ====== Generated catalog ======
+
+const DEPARTMENTS = ["Computer Science", "Mathematics", "Physics", "Biology", "History", "Art", "Economics", "Psychology"];
+const TOPICS = ["data", "design", "analysis", "systems", "theory", "methods", "machine learning", "studio", "ethics", "networks"];
+const WORDS = ["introduction", "advanced", "seminar", "applied", "modern", "project", "research", "foundations", "lab", "survey"];
+const INSTRUCTORS = ["Kim", "Lee", "Garcia", "Nguyen", "Smith", "Okafor", "Rossi", "Tanaka", null];
+const TERMS = ["Winter", "Spring", "Summer", "Fall"];
+
+// Course IDs AA100, AA101, ... AA999, AB100, ...
+function generatedId(i) {
+  const block = Math.floor(i / 900);
+  const letters = String.fromCharCode(65 + Math.floor(block / 26) % 26, 65 + (block % 26));
+  return `${letters}${100 + (i % 900)}`;
+}
+
+// Small seeded generator, so every run times the same catalog
+function makeRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function generateCatalog(count) {
+  const random = makeRandom(42);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const courses = [];
+
+  for (let i = 0; i < count; i++) {
+    const department = pick(DEPARTMENTS);
+    const level = (1 + Math.floor(random() * 4)) * 100;
+    const topic = pick(TOPICS);
+    courses.push({
+      id: generatedId(i),
+      title: `${pick(WORDS)} ${topic}`.replace(/^./, c => c.toUpperCase()),
+      department,
+      level,
+      credits: pick([1, 2, 3, 3, 4]),
+      instructor: pick(INSTRUCTORS),
+      description: `${pick(WORDS)} course in ${topic} with ${pick(TOPICS)} and ${pick(WORDS)} work. #${i}`,
+      semester: `${pick(TERMS)} ${2024 + Math.floor(random() * 3)}`,
+    });
+  }
+  return courses;
+}
+
+// ====== Timing ======
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function timeRuns(runs, fn) {
+  const times = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    result = fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { ms: median(times), result };
+}
+
+function runBenchmark(options) {
+  const courses = generateCatalog(options.courses);
+  if (options.write) fs.writeFileSync(options.write, JSON.stringify(courses, null, 2) + "\n");
+  const build = timeRuns(1, () => buildCourseIndex(courses));
+  const index = build.result;
+  const unindexed = { ...index, text: {}, numbers: {} }; // narrows nothing: every course is checked
+
+  const searches = QUERIES.map(text => {
+    const filterOptions = { query: parseCourseQuery(text), dept: "", level: "", credits: "", favoriteIds: null, notedIds: [], sort: "relevance" };
+    const scan = timeRuns(options.runs, () => filterCourses(unindexed, filterOptions));
+    const indexed = timeRuns(options.runs, () => filterCourses(index, filterOptions));
+
+    const found = indexed.result.positions.join();
+    if (found !== scan.result.positions.join()) {
+      throw new Error(`"${text}": the index found ${indexed.result.positions.length} courses, the scan ${scan.result.positions.length}.`);
+    }
+    return { query: text, matches: indexed.result.positions.length, scanMs: scan.ms, indexedMs: indexed.ms };
+  });
+
+  return { courses: courses.length, runs: options.runs, buildMs: build.ms, searches };
+}
+
+// ====== Output ======
+
+function formatReport(report) {
+  const ms = value => value.toFixed(1).padStart(9);
+  const width = Math.max(...report.searches.map(s => s.query.length), "search".length);
+  const lines = [
+    `${report.courses} courses, index built in ${report.buildMs.toFixed(1)} ms (median of ${report.runs} runs per search)`,
+    "",
+    `${"search".padEnd(width)}  ${"matches".padStart(8)}  ${"scan ms".padStart(9)}  ${"index ms".padStart(9)}`,
+  ];
+  report.searches.forEach(s => {
+    lines.push(`${s.query.padEnd(width)}  ${String(s.matches).padStart(8)}  ${ms(s.scanMs)}  ${ms(s.indexedMs)}`);
+  });
+  return lines.join("\n");
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 1;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const report = runBenchmark(options);
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+    return 0;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { generateCatalog, runBenchmark, main };
@@ -0,0 +1,37 @@
+// ====== Filtering worker ======
+// Runs filterCourses (courseIndex.js) off the page once a catalog is large,
+// so the list and search box stay responsive while tens of thousands of
+// courses are filtered. Messages in:
+//   { type: "load", version, courses, notes }       course records in allCourses order; notes by ID
+//   { type: "notes", notes }                        the notes changed
+//   { type: "filter", version, request, options }   filterCourses options, with the search as text (q)
+// Messages out:
+//   { type: "result", version, request, positions, departmentCounts, creditsCounts }
+
+importScripts("courseQuery.js", "courseIndex.js");
+
+let index = buildCourseIndex([]);
+let catalogVersion = null;
+
+// Notes live on the page; copy them onto the records so searches see them
+function applyNotes(notes) {
+    index.courses.forEach(course => {
+        course.notes = notes[course.id] || "";
+    });
+}
+
+self.addEventListener("message", (event) => {
+    const message = event.data;
+
+    if (message.type === "load") {
+        catalogVersion = message.version;
+        index = buildCourseIndex(message.courses);
+        applyNotes(message.notes);
+    } else if (message.type === "notes") {
+        applyNotes(message.notes);
+    } else if (message.type === "filter") {
+        if (message.version !== catalogVersion) return; // a catalog no longer shown
+        const result = filterCourses(index, { ...message.options, query: parseCourseQuery(message.options.q) });
+        self.postMessage({ type: "result", version: catalogVersion, request: message.request, ...result });
+    }
+});
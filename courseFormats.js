@@ -0,0 +1,383 @@
+// ====== Course file formats ======
+// Parsers that turn a file's text into course records (plain objects, checked
+// afterwards by courseSchema.js), picked by file extension, MIME type or
+// content, plus CSV / JSON export and merging several files into one catalog.
+// Uses COURSE_SCHEMA (courseSchema.js) and describeMeetings (schedulePlanner.js).
+
+/**
+ * Format name → { extensions, mimeTypes, sniff(text), parse(text) }.
+ * parse returns { records, lines } (lines = the line each record starts on)
+ * and throws an Error with a readable message if the text can't be read.
+ * Detection by content tries the formats in order; add more with registerCourseFormat.
+ */
+const COURSE_FORMATS = {};
+
+function registerCourseFormat(name, format) {
+    COURSE_FORMATS[name] = { extensions: [], mimeTypes: [], sniff: () => false, ...format };
+}
+
+// Keys a JSON file may wrap its course array in, e.g. { "courses": [...] }
+const JSON_WRAPPER_KEYS = ["courses", "data", "items", "records", "results"];
+
+/**
+ * Which format to read `text` with: the file name's extension, then the
+ * MIME type, then the content. Returns a COURSE_FORMATS key.
+ */
+function detectCourseFormat(text, fileName = "", mimeType = "") {
+    const names = Object.keys(COURSE_FORMATS);
+    const extension = (/\.[^./?#]+(?=$|[?#])/.exec(fileName.toLowerCase()) || [""])[0];
+    const mime = mimeType.toLowerCase().split(";")[0].trim();
+
+    return (
+        names.find(name => extension && COURSE_FORMATS[name].extensions.includes(extension)) ||
+        names.find(name => mime && COURSE_FORMATS[name].mimeTypes.includes(mime)) ||
+        names.find(name => COURSE_FORMATS[name].sniff(text)) ||
+        "json"
+    );
+}
+
+// { format, records, lines } for a file's text; options: fileName, mimeType, format (skips detection)
+function parseCourseData(text, options = {}) {
+    const format = options.format || detectCourseFormat(text, options.fileName, options.mimeType);
+    if (!COURSE_FORMATS[format]) throw new Error(`Unknown course file format "${format}".`);
+    return { format, ...COURSE_FORMATS[format].parse(text) };
+}
+
+// ====== JSON ======
+
+function parseJsonCourses(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    if (Array.isArray(json)) return { records: json, lines: jsonRecordLines(text) };
+
+    const key = json && typeof json === "object" ? jsonWrapperKey(json) : null;
+    if (!key) {
+        throw new Error('Expected an array of courses, or an object holding one (e.g. { "courses": [...] }).');
+    }
+    return { records: json[key], lines: jsonRecordLines(text, key) };
+}
+
+// The property of a wrapper object that holds the courses (a known key, or its only array)
+function jsonWrapperKey(json) {
+    const known = JSON_WRAPPER_KEYS.find(key => Array.isArray(json[key]));
+    if (known) return known;
+    const arrays = Object.keys(json).filter(key => Array.isArray(json[key]));
+    return arrays.length === 1 ? arrays[0] : null;
+}
+
+/**
+ * The line each course starts on: the elements of the root array, or of the
+ * root object's `key` property. Assumes `text` already parsed as JSON.
+ */
+function jsonRecordLines(text, key = null) {
+    const lines = [];
+    let line = 1;
+    let depth = 0;
+    let arrayDepth = null; // depth inside the array holding the courses, once found
+    let inString = false;
+    let stringText = "";
+    let lastKey = null;
+    let expectingValue = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === "\n") line++;
+
+        if (inString) {
+            if (ch === "\\") stringText += text[++i];
+            else if (ch === '"') inString = false;
+            else stringText += ch;
+            continue;
+        }
+        if (/\s/.test(ch)) continue;
+
+        if (depth === arrayDepth && expectingValue && ch !== "]") {
+            lines.push(line);
+            expectingValue = false;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            stringText = "";
+        } else if (ch === ":" && depth === 1) {
+            lastKey = stringText;
+        } else if (ch === "[" || ch === "{") {
+            depth++;
+            if (ch === "[" && arrayDepth === null && (key === null ? depth === 1 : depth === 2 && lastKey === key)) {
+                arrayDepth = depth;
+                expectingValue = true;
+            }
+        } else if (ch === "]" || ch === "}") {
+            if (depth === arrayDepth) break;
+            depth--;
+        } else if (ch === "," && depth === arrayDepth) {
+            expectingValue = true;
+        }
+    }
+
+    return lines;
+}
+
+registerCourseFormat("json", {
+    extensions: [".json"],
+    mimeTypes: ["application/json", "text/json"],
+    sniff: text => /^\s*[[{]/.test(text) && !looksLikeNdjson(text),
+    parse: parseJsonCourses,
+});
+
+// ====== NDJSON (one course object per line) ======
+
+function parseNdjsonCourses(text) {
+    const records = [];
+    const lines = [];
+    text.split(/\r?\n/).forEach((content, i) => {
+        if (!content.trim()) return;
+        try {
+            records.push(JSON.parse(content));
+        } catch (err) {
+            throw new Error(`Line ${i + 1} is not valid JSON: ${err.message}`);
+        }
+        lines.push(i + 1);
+    });
+    return { records, lines };
+}
+
+// Two or more lines, the first a complete JSON object on its own
+function looksLikeNdjson(text) {
+    const nonEmpty = text.split(/\r?\n/).filter(l => l.trim());
+    if (nonEmpty.length < 2 || !nonEmpty[0].trim().startsWith("{")) return false;
+    try {
+        JSON.parse(nonEmpty[0]);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+registerCourseFormat("ndjson", {
+    extensions: [".ndjson", ".jsonl"],
+    mimeTypes: ["application/x-ndjson", "application/jsonl"],
+    sniff: looksLikeNdjson,
+    parse: parseNdjsonCourses,
+});
+
+// ====== CSV ======
+// A header row of course field names (any case), then one course per row.
+// Numbers are converted where the schema expects them; list fields are
+// separated by ";" (or ","), and meetings are written as in describeMeetings:
+//   "MWF 09:00–09:50 (ENG 101); R 14:00–16:50"
+
+/**
+ * Rows of cells from CSV text: commas, "quoted" cells with "" for a quote,
+ * line breaks inside quotes, CRLF and a leading BOM. A quote only opens
+ * quoting at the start of a cell; elsewhere it is kept as text. Same rules as
+ * parseCsvRecords / escapeCsvCell in gradebookCsv.js. Returns [{ cells, line }].
+ */
+function parseCsvRows(text) {
+    text = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== "") rows.push({ cells, line: rowLine });
+        cells = [];
+        cell = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === "\n") line++;
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === "") {
+            inQuotes = true;
+        } else if (ch === ",") {
+            cells.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (inQuotes) throw new Error(`Line ${rowLine}: a quoted cell is never closed.`);
+    if (cell !== "" || cells.length > 0) endRow();
+
+    return rows;
+}
+
+// "MWF 09:00–09:50 (ENG 101)" → { days, start, end, location }; unreadable text is kept as days
+function parseMeetingText(text) {
+    const time = "\\d{1,2}:\\d{2}\\s*(?:[ap]m)?";
+    const match = new RegExp(`^(\\S+)\\s+(${time})\\s*[-–]\\s*(${time})(?:\\s+\\(?(.*?)\\)?)?$`, "i").exec(text.trim());
+    if (!match) return { days: text.trim() };
+
+    const meeting = { days: match[1].includes("/") ? match[1].split("/") : match[1], start: match[2], end: match[3] };
+    if (match[4]) meeting.location = match[4];
+    return meeting;
+}
+
+// Text from a CSV cell or form input → the value COURSE_SCHEMA expects for that field
+// (left as text if it isn't one, so validation can say what is wrong)
+function fieldValueFromText(field, text) {
+    const rule = COURSE_SCHEMA[field];
+    const value = text.trim();
+    if (!rule) return value;
+    if (value === "") {
+        if (rule.nullable) return null;
+        return rule.required && rule.type === "string" ? "" : undefined;
+    }
+
+    const types = [].concat(rule.type);
+    if (field === "meetings") return value.split(";").filter(s => s.trim()).map(parseMeetingText);
+    if (types.includes("array")) return value.split(/[;,]/).map(s => s.trim()).filter(Boolean);
+    if ((types.includes("number") || types.includes("integer")) && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+// The other way round: a record's field as text that fieldValueFromText reads back
+function fieldValueToText(record, field) {
+    if (field === "meetings") return describeMeetings(record);
+    const value = record[field];
+    if (value === undefined || value === null) return "";
+    return Array.isArray(value) ? value.join("; ") : String(value);
+}
+
+function parseCsvCourses(text) {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return { records: [], lines: [] };
+
+    const schemaKeys = Object.keys(COURSE_SCHEMA);
+    const header = rows[0].cells.map(name => {
+        const trimmed = name.trim();
+        return schemaKeys.find(key => key.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+    });
+
+    const records = rows.slice(1).map(row => {
+        const record = {};
+        header.forEach((field, i) => {
+            const value = fieldValueFromText(field, row.cells[i] === undefined ? "" : row.cells[i]);
+            if (value !== undefined) record[field] = value;
+        });
+        return record;
+    });
+    return { records, lines: rows.slice(1).map(row => row.line) };
+}
+
+registerCourseFormat("csv", {
+    extensions: [".csv"],
+    mimeTypes: ["text/csv", "application/csv"],
+    sniff: text => /^[^\n]*,/.test(text),
+    parse: parseCsvCourses,
+});
+
+// ====== Export ======
+
+// The schema fields of a Course, as a plain record (what a JSON file would hold)
+function courseToRecord(course) {
+    const record = {};
+    Object.keys(COURSE_SCHEMA).forEach(key => {
+        if (course[key] !== undefined) record[key] = course[key];
+    });
+    return record;
+}
+
+function coursesToJson(courses) {
+    return JSON.stringify(courses.map(courseToRecord), null, 2) + "\n";
+}
+
+// Quoted only when needed, as escapeCsvCell in gradebookCsv.js
+function csvCell(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per course, columns in COURSE_SCHEMA order; reads back with parseCsvCourses
+function coursesToCsv(courses) {
+    const columns = Object.keys(COURSE_SCHEMA);
+    const rows = courses.map(course => columns.map(key => csvCell(fieldValueToText(course, key))));
+    return [columns, ...rows].map(row => row.join(",")).join("\r\n") + "\r\n";
+}
+
+// ====== Merging ======
+
+/**
+ * Combine parsed files into one list of records. When several records share
+ * an id, `policy` decides which one stays: "keep-first" (the earliest file)
+ * or "keep-last" (the latest file, in its place in that file).
+ * batches: [{ records, lines, file }] in load order.
+ * Returns { records, lines, files, conflicts: [{ id, kept, dropped }] } (file names).
+ */
+function mergeCourseRecords(batches, policy = "keep-first") {
+    const entries = [];
+    batches.forEach(batch => {
+        batch.records.forEach((record, i) => {
+            entries.push({ record, line: (batch.lines || [])[i] || null, file: batch.file || null });
+        });
+    });
+
+    const winner = new Map(); // id → entry that stays
+    const conflicts = [];
+    entries.forEach(entry => {
+        const id = entry.record && typeof entry.record.id === "string" ? entry.record.id : null;
+        if (id === null) return;
+
+        const current = winner.get(id);
+        if (!current) {
+            winner.set(id, entry);
+            return;
+        }
+        const [kept, dropped] = policy === "keep-last" ? [entry, current] : [current, entry];
+        winner.set(id, kept);
+        conflicts.push({ id, kept: kept.file, dropped: dropped.file });
+    });
+
+    const merged = entries.filter(entry => {
+        const id = entry.record && typeof entry.record.id === "string" ? entry.record.id : null;
+        return id === null || winner.get(id) === entry;
+    });
+    return {
+        records: merged.map(e => e.record),
+        lines: merged.map(e => e.line),
+        files: merged.map(e => e.file),
+        conflicts,
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        COURSE_FORMATS,
+        registerCourseFormat,
+        detectCourseFormat,
+        parseCourseData,
+        jsonRecordLines,
+        parseCsvRows,
+        fieldValueFromText,
+        fieldValueToText,
+        courseToRecord,
+        coursesToJson,
+        coursesToCsv,
+        mergeCourseRecords,
+    };
+}
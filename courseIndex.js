@@ -0,0 +1,251 @@
+// ====== Course index ======
+// An inverted index over the catalog, so a search only checks the courses that
+// could match instead of every course on every keystroke, plus the filter /
+// facet / sort pipeline that uses it. Shared by script.js and
+// courseFilterWorker.js, which runs it off the page for large catalogs. Uses
+// QUERY_FIELDS, FREE_TEXT_FIELDS, matchesCourseQuery and scoreCourse from
+// courseQuery.js.
+
+// Notes change as the user types, so courses with one are checked directly
+const UNINDEXED_FIELDS = ["notes"];
+
+// Shorter words match too much of the vocabulary to narrow anything down
+const MIN_INDEXED_WORD = 2;
+
+// Words are found by the pieces (n-grams) of this length they contain
+const GRAM_LENGTH = 3;
+
+// Words as the index splits text: runs of letters and digits, lower-cased
+function indexWords(text) {
+    return String(text === undefined || text === null ? "" : text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function addPosting(map, key, position) {
+    const positions = map.get(key);
+    if (positions) positions.push(position);
+    else map.set(key, [position]);
+}
+
+// The distinct substrings of `word` that are `length` long
+function wordGrams(word, length) {
+    const grams = new Set();
+    for (let i = 0; i + length <= word.length; i++) grams.add(word.slice(i, i + length));
+    return grams;
+}
+
+// gram → the indexed words containing it, for grams of MIN_INDEXED_WORD to GRAM_LENGTH letters
+function buildGramIndex(postings) {
+    const grams = new Map();
+    postings.forEach((positions, word) => {
+        for (let length = MIN_INDEXED_WORD; length <= GRAM_LENGTH; length++) {
+            wordGrams(word, length).forEach(gram => addPosting(grams, gram, word));
+        }
+    });
+    return grams;
+}
+
+/**
+ * Index an array of courses (Course objects or plain records). Text fields map
+ * word → positions of the courses using it (`postings`), plus gram → words
+ * (`grams`) to find the words containing part of a search; number fields map
+ * value → positions. A position is an index into `courses`.
+ */
+function buildCourseIndex(courses) {
+    const text = {};
+    const numbers = {};
+    Object.keys(QUERY_FIELDS).forEach(field => {
+        if (UNINDEXED_FIELDS.includes(field)) return;
+        if (QUERY_FIELDS[field].kind === "number") numbers[field] = new Map();
+        else text[field] = { postings: new Map(), grams: null };
+    });
+
+    courses.forEach((course, position) => {
+        Object.keys(text).forEach(field => {
+            new Set(indexWords(course[field])).forEach(word => addPosting(text[field].postings, word, position));
+        });
+        Object.keys(numbers).forEach(field => addPosting(numbers[field], Number(course[field]), position));
+    });
+    Object.values(text).forEach(entry => {
+        entry.grams = buildGramIndex(entry.postings);
+    });
+
+    return { courses, text, numbers, positionById: new Map(courses.map((c, i) => [c.id, i])) };
+}
+
+// ====== Candidates ======
+
+function unionAll(lists) {
+    const union = new Set();
+    lists.forEach(list => list.forEach(position => union.add(position)));
+    return union;
+}
+
+function intersectAll(sets) {
+    const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+    return new Set([...smallest].filter(position => rest.every(set => set.has(position))));
+}
+
+/**
+ * Positions of the courses that could match a query node, or null when the
+ * index can't narrow it down (a NOT, a term like "c++") and every course must
+ * be checked. Always a superset: matchesCourseQuery still decides.
+ * `notedPositions` are the courses with a note (notes aren't indexed).
+ */
+function queryCandidates(index, node, notedPositions = null) {
+    if (!node) return null;
+    switch (node.type) {
+        case "and": {
+            const sets = node.children.map(child => queryCandidates(index, child, notedPositions)).filter(Boolean);
+            return sets.length > 0 ? intersectAll(sets) : null;
+        }
+        case "or": {
+            const sets = node.children.map(child => queryCandidates(index, child, notedPositions));
+            return sets.includes(null) ? null : unionAll(sets);
+        }
+        case "not":
+            return null;
+        default:
+            return termCandidates(index, node, notedPositions);
+    }
+}
+
+function termCandidates(index, term, notedPositions) {
+    if (term.field !== null && QUERY_FIELDS[term.field].kind === "number") {
+        if (!index.numbers[term.field]) return null;
+        const lists = [];
+        index.numbers[term.field].forEach((positions, value) => {
+            if (matchesCourseQuery(term, { [term.field]: value })) lists.push(positions);
+        });
+        return unionAll(lists);
+    }
+
+    // Text matches by substring, so each word of the term is part of some word of the field
+    const words = indexWords(term.value).filter(word => word.length >= MIN_INDEXED_WORD);
+    if (words.length === 0) return null;
+
+    const fields = term.field === null ? FREE_TEXT_FIELDS : [term.field];
+    const sets = [];
+    for (const field of fields) {
+        if (index.text[field]) sets.push(wordCandidates(index.text[field], words));
+        else if (field === "notes" && notedPositions) sets.push(notedPositions);
+        else return null;
+    }
+    return unionAll(sets);
+}
+
+// Only the words sharing the search word's rarest gram are checked, not the whole vocabulary
+function wordCandidates({ postings, grams }, words) {
+    return intersectAll(words.map(word => {
+        const length = Math.min(word.length, GRAM_LENGTH);
+        let fewest = null;
+        for (const gram of wordGrams(word, length)) {
+            const containing = grams.get(gram);
+            if (!containing) return new Set();
+            if (!fewest || containing.length < fewest.length) fewest = containing;
+        }
+        return unionAll(fewest.filter(indexed => indexed.includes(word)).map(indexed => postings.get(indexed)));
+    }));
+}
+
+// ====== Filter, facets & sort ======
+
+/**
+ * Convert a semester string like "Fall 2025" into a numeric key for sorting.
+ * We want Summer 2025 < Fall 2025 < Winter 2026 < Spring 2026, etc.
+ */
+function semesterSortKey(semester) {
+    if (!semester) return Number.POSITIVE_INFINITY;
+
+    const parts = semester.split(" ");
+    if (parts.length !== 2) return Number.POSITIVE_INFINITY;
+
+    const term = parts[0].toLowerCase();
+    const year = parseInt(parts[1], 10);
+
+    let termOrder;
+    // Adjust if your professor defined a specific order.
+    if (term === "winter") termOrder = 1;
+    else if (term === "spring") termOrder = 2;
+    else if (term === "summer") termOrder = 3;
+    else if (term === "fall") termOrder = 4;
+    else termOrder = 5; // unknown term at end
+
+    return year * 10 + termOrder;
+}
+
+// { counts: Map key → number of positions, total }
+function countFacet(positions, keyOf) {
+    const counts = new Map();
+    positions.forEach(position => {
+        const key = keyOf(position);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return { counts, total: positions.length };
+}
+
+/**
+ * The explorer's filters and sort over an indexed catalog. options:
+ *   query                   a parsed search (parseCourseQuery)
+ *   dept, level, credits    select values, "" for any
+ *   favoriteIds             Set of course IDs to keep, or null for every course
+ *   notedIds                IDs of the courses with a note
+ *   sort                    "relevance" | "title-asc" | "title-desc" | "id" | "semester"
+ * Returns { positions, departmentCounts, creditsCounts }: the matching
+ * positions in display order, and for each facet what its options would match
+ * under all the *other* filters (see countFacet).
+ */
+function filterCourses(index, options) {
+    const courses = index.courses;
+    const { query, dept, level, credits, favoriteIds, sort } = options;
+    const positionsOf = ids => new Set([...ids].map(id => index.positionById.get(id)).filter(p => p !== undefined));
+
+    let candidates = queryCandidates(index, query.ast, positionsOf(options.notedIds || []));
+    if (favoriteIds) {
+        candidates = candidates ? intersectAll([candidates, positionsOf(favoriteIds)]) : positionsOf(favoriteIds);
+    }
+    const pool = candidates ? [...candidates].sort((a, b) => a - b) : courses.map((course, position) => position);
+
+    // Department / level (e.g. 100, 200) / credits selects
+    const deptMatches = p => !dept || courses[p].department === dept;
+    const levelMatches = p => !level || String(courses[p].level) === level;
+    const creditsMatches = p => !credits || String(courses[p].credits) === credits;
+
+    // Filter using Array.filter (required in rubric): search query first, then the selects
+    const queryMatches = pool.filter(p => matchesCourseQuery(query.ast, courses[p]));
+    const positions = queryMatches.filter(p => deptMatches(p) && levelMatches(p) && creditsMatches(p));
+
+    // Sort using Array.sort, on keys worked out once per course
+    const keys = new Map();
+    if (sort === "relevance") positions.forEach(p => keys.set(p, scoreCourse(query, courses[p])));
+    if (sort === "semester") positions.forEach(p => keys.set(p, semesterSortKey(courses[p].semester)));
+    positions.sort((a, b) => {
+        if (sort === "relevance") {
+            // best match first; ties (and an empty search) fall back to A → Z
+            return keys.get(b) - keys.get(a) || courses[a].title.localeCompare(courses[b].title);
+        } else if (sort === "title-asc") {
+            return courses[a].title.localeCompare(courses[b].title);
+        } else if (sort === "title-desc") {
+            return courses[b].title.localeCompare(courses[a].title);
+        } else if (sort === "id") {
+            return courses[a].id.localeCompare(courses[b].id);
+        } else if (sort === "semester") {
+            return keys.get(a) - keys.get(b);
+        }
+        return 0;
+    });
+
+    return {
+        positions,
+        departmentCounts: countFacet(queryMatches.filter(p => levelMatches(p) && creditsMatches(p)), p => courses[p].department),
+        creditsCounts: countFacet(queryMatches.filter(p => deptMatches(p) && levelMatches(p)), p => String(courses[p].credits)),
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        buildCourseIndex,
+        queryCandidates,
+        semesterSortKey,
+        filterCourses,
+    };
+}
@@ -0,0 +1,325 @@
+// ====== Course query language ======
+// Search syntax for the explorer's search box, e.g.
+//   dept:"Computer Science" level>=200 credits:3 instructor:kim
+//   design -studio            (- or NOT negates a term)
+//   kim OR lee level:100      (OR binds tighter than the implied AND)
+//   (title:data OR title:graph) -dept:math
+// Bare words and "quoted phrases" search title, description, instructor and
+// the user's own notes.
+
+// Field name → how to read it from a Course. Text fields match by substring
+// with ":" and exactly with "="; number fields take : = > >= < <=.
+const QUERY_FIELDS = {
+    id: { aliases: ["id", "code"], kind: "text", weight: 6 },
+    title: { aliases: ["title", "name"], kind: "text", weight: 4 },
+    department: { aliases: ["dept", "department"], kind: "text", weight: 2 },
+    instructor: { aliases: ["instructor", "prof", "teacher"], kind: "text", weight: 2 },
+    description: { aliases: ["desc", "description"], kind: "text", weight: 1 },
+    notes: { aliases: ["note", "notes"], kind: "text", weight: 2 },
+    semester: { aliases: ["semester", "term"], kind: "text", weight: 1 },
+    level: { aliases: ["level", "lvl"], kind: "number", weight: 1 },
+    credits: { aliases: ["credits", "credit", "cr"], kind: "number", weight: 1 },
+};
+
+// Fields searched by a bare word or phrase (same as Course.searchableText)
+const FREE_TEXT_FIELDS = ["title", "description", "instructor", "notes"];
+
+const QUERY_OPERATORS = [">=", "<=", ":", "=", ">", "<"];
+
+function resolveQueryField(name) {
+    const lower = name.toLowerCase();
+    return Object.keys(QUERY_FIELDS).find(key => QUERY_FIELDS[key].aliases.includes(lower)) || null;
+}
+
+function courseFieldText(course, field) {
+    const value = course[field];
+    return value === undefined || value === null ? "" : String(value).toLowerCase();
+}
+
+// ====== Tokenizer ======
+// Tokens: { type: "(" | ")" | "-" | "OR" | "NOT" | "term", raw }
+
+function tokenizeQuery(text, errors) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === "(" || ch === ")") {
+            tokens.push({ type: ch });
+            i++;
+        } else if (ch === "-" && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+            tokens.push({ type: "-" });
+            i++;
+        } else {
+            // a word, possibly with quoted parts: kim, "data science", dept:"Computer Science"
+            let raw = "";
+            while (i < text.length && !/[\s()]/.test(text[i])) {
+                if (text[i] === '"') {
+                    const end = text.indexOf('"', i + 1);
+                    if (end === -1) {
+                        errors.push("Missing closing quote.");
+                        raw += text.slice(i);
+                        i = text.length;
+                    } else {
+                        raw += text.slice(i, end + 1);
+                        i = end + 1;
+                    }
+                } else {
+                    raw += text[i++];
+                }
+            }
+
+            if (raw === "OR" || raw === "|") tokens.push({ type: "OR" });
+            else if (raw === "NOT") tokens.push({ type: "NOT" });
+            else if (raw !== "AND" && raw !== "&") tokens.push({ type: "term", raw });
+        }
+    }
+
+    return tokens;
+}
+
+function unquote(value) {
+    return value.replace(/"/g, "").trim();
+}
+
+// One term token → AST node, or null (with an error) if it can't be used
+function parseTerm(raw, errors) {
+    const match = /^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i.exec(raw);
+    if (!match || raw.startsWith('"')) {
+        const value = unquote(raw).toLowerCase();
+        return value ? { type: "term", field: null, op: ":", value } : null;
+    }
+
+    const [, name, op, rawValue] = match;
+    const field = resolveQueryField(name);
+    const value = unquote(rawValue).toLowerCase();
+
+    if (!field) {
+        errors.push(`Unknown field "${name}".`);
+        return null;
+    }
+    if (!value) {
+        errors.push(`"${name}${op}" needs a value.`);
+        return null;
+    }
+
+    if (QUERY_FIELDS[field].kind === "number") {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            errors.push(`${field} needs a number (got "${value}").`);
+            return null;
+        }
+        return { type: "term", field, op: op === ":" ? "=" : op, value: number };
+    }
+
+    if (op !== ":" && op !== "=") {
+        errors.push(`${field} can't be compared with ${op}.`);
+        return null;
+    }
+    return { type: "term", field, op, value };
+}
+
+// ====== Parser ======
+// query := group+            (implicit AND)
+// group  := unary (OR unary)*
+// unary  := ("-" | NOT) unary | "(" query ")" | term
+
+function parseCourseQuery(text) {
+    const errors = [];
+    const tokens = tokenizeQuery(text || "", errors);
+    let pos = 0;
+
+    const parseUnary = () => {
+        const token = tokens[pos];
+        if (!token) return null;
+
+        if (token.type === "-" || token.type === "NOT") {
+            pos++;
+            const child = parseUnary();
+            return child ? { type: "not", child } : null;
+        }
+        if (token.type === "(") {
+            pos++;
+            const inner = parseAnd(true);
+            if (tokens[pos] && tokens[pos].type === ")") pos++;
+            else errors.push("Missing closing parenthesis.");
+            return inner;
+        }
+        if (token.type === "term") {
+            pos++;
+            return parseTerm(token.raw, errors);
+        }
+
+        // a stray ) or OR: skip it
+        errors.push(token.type === ")" ? "Unexpected )." : `Unexpected ${token.type}.`);
+        pos++;
+        return null;
+    };
+
+    const parseGroup = () => {
+        const children = [parseUnary()];
+        while (tokens[pos] && tokens[pos].type === "OR") {
+            pos++;
+            children.push(parseUnary());
+        }
+        const valid = children.filter(Boolean);
+        if (valid.length <= 1) return valid[0] || null;
+        return { type: "or", children: valid };
+    };
+
+    const parseAnd = (nested) => {
+        const children = [];
+        while (pos < tokens.length && !(nested && tokens[pos].type === ")")) {
+            const node = parseGroup();
+            if (node) children.push(node);
+        }
+        if (children.length <= 1) return children[0] || null;
+        return { type: "and", children };
+    };
+
+    const ast = parseAnd(false);
+    return { text: text || "", ast, terms: positiveTerms(ast), errors };
+}
+
+// Terms that make a course match (not under a negation): used for ranking and highlighting
+function positiveTerms(node, negated = false, out = []) {
+    if (!node) return out;
+    if (node.type === "term") {
+        if (!negated) out.push(node);
+    } else if (node.type === "not") {
+        positiveTerms(node.child, !negated, out);
+    } else {
+        node.children.forEach(child => positiveTerms(child, negated, out));
+    }
+    return out;
+}
+
+// ====== Matching & ranking ======
+
+function termMatches(term, course) {
+    if (term.field === null) {
+        return FREE_TEXT_FIELDS.some(f => courseFieldText(course, f).includes(term.value));
+    }
+
+    if (QUERY_FIELDS[term.field].kind === "number") {
+        const actual = Number(course[term.field]);
+        switch (term.op) {
+            case ">=": return actual >= term.value;
+            case "<=": return actual <= term.value;
+            case ">": return actual > term.value;
+            case "<": return actual < term.value;
+            default: return actual === term.value;
+        }
+    }
+
+    const actual = courseFieldText(course, term.field);
+    return term.op === "=" ? actual === term.value : actual.includes(term.value);
+}
+
+function matchesCourseQuery(ast, course) {
+    if (!ast) return true;
+    switch (ast.type) {
+        case "and": return ast.children.every(child => matchesCourseQuery(child, course));
+        case "or": return ast.children.some(child => matchesCourseQuery(child, course));
+        case "not": return !matchesCourseQuery(ast.child, course);
+        default: return termMatches(ast, course);
+    }
+}
+
+/**
+ * Relevance of a matching course: each positive term it satisfies scores its
+ * field's weight; free-text terms score per field they hit, more for whole
+ * words and exact field matches.
+ */
+function scoreCourse(query, course) {
+    let score = 0;
+
+    query.terms.forEach(term => {
+        if (term.field !== null) {
+            if (termMatches(term, course)) score += QUERY_FIELDS[term.field].weight;
+            return;
+        }
+
+        const wordStart = new RegExp(`(^|\\W)${escapeRegExp(term.value)}`);
+        FREE_TEXT_FIELDS.forEach(field => {
+            const text = courseFieldText(course, field);
+            if (!text.includes(term.value)) return;
+
+            const weight = QUERY_FIELDS[field].weight;
+            score += weight;
+            if (wordStart.test(text)) score += weight / 2;
+            if (text === term.value) score += weight;
+        });
+    });
+
+    return score;
+}
+
+// ====== Highlighting ======
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Lower-case strings to highlight in one field of a course
+function highlightTermsFor(query, field) {
+    if (!query) return [];
+    return query.terms
+        .filter(t => (t.field === null ? FREE_TEXT_FIELDS.includes(field) : t.field === field))
+        .filter(t => typeof t.value === "string")
+        .map(t => t.value);
+}
+
+/**
+ * Split text into [{ text, match }] segments, marking every (case-insensitive)
+ * occurrence of any of the terms. Overlapping matches are merged.
+ */
+function splitHighlights(text, terms) {
+    const source = text === undefined || text === null ? "" : String(text);
+    const lower = source.toLowerCase();
+    const ranges = [];
+
+    terms.filter(Boolean).forEach(term => {
+        let from = lower.indexOf(term);
+        while (from !== -1) {
+            ranges.push([from, from + term.length]);
+            from = lower.indexOf(term, from + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const segments = [];
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+        if (end <= cursor) return;
+        start = Math.max(start, cursor);
+        const last = segments[segments.length - 1];
+        if (start > cursor) segments.push({ text: source.slice(cursor, start), match: false });
+        else if (last && last.match) {
+            last.text += source.slice(start, end); // touching matches become one
+            cursor = end;
+            return;
+        }
+        segments.push({ text: source.slice(start, end), match: true });
+        cursor = end;
+    });
+    if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false });
+
+    return segments;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        QUERY_FIELDS,
+        FREE_TEXT_FIELDS,
+        parseCourseQuery,
+        matchesCourseQuery,
+        scoreCourse,
+        highlightTermsFor,
+        splitHighlights,
+    };
+}
@@ -0,0 +1,271 @@
+// courseRegistry.js
+"use strict";
+
+const {
+  ClassList,
+  Student,
+  EventBus,
+  systemClock,
+  normalizeEmail,
+  DuplicateStudentError,
+} = require("./assignmentManager");
+
+const STAFF_ROLES = ["instructor", "ta"];
+const OUTSTANDING_STATUSES = ["released", "working", "final reminder"];
+
+// Thrown for unknown course, section or student IDs
+class RegistryLookupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RegistryLookupError";
+  }
+}
+
+// One course (e.g. CS101 in Fall 2025): its ClassList, sections and teaching staff.
+// Every enrolled student is in `classList`; sections just group them by ID.
+class CourseOffering {
+  constructor(info, options = {}) {
+    if (!info || !info.courseId) {
+      throw new Error("A course needs a courseId.");
+    }
+
+    this.courseId = info.courseId;
+    this.title = info.title || "";
+    this.department = info.department || "";
+    this.credits = info.credits === undefined ? null : info.credits;
+    this.semester = info.semester || "";
+    this.classList = new ClassList(options.observer, {
+      clock: options.clock,
+      grader: options.grader,
+      gradingScheme: options.gradingScheme,
+      latePolicy: options.latePolicy,
+      silent: options.silent,
+    });
+    this.sections = new Map(); // sectionId → { sectionId, studentIds: Set }
+    this.staff = [];           // { name, email, role, sectionIds: [] }
+  }
+
+  addSection(sectionId) {
+    if (this.sections.has(sectionId)) {
+      throw new Error(`${this.courseId} already has a section ${sectionId}.`);
+    }
+    const section = { sectionId, studentIds: new Set() };
+    this.sections.set(sectionId, section);
+    return section;
+  }
+
+  _requireSection(sectionId) {
+    const section = this.sections.get(sectionId);
+    if (!section) {
+      throw new RegistryLookupError(`${this.courseId} has no section ${sectionId}.`);
+    }
+    return section;
+  }
+
+  // role is "instructor" or "ta"; sectionIds limits a TA (or instructor) to some sections
+  assignStaff(person, role, sectionIds = []) {
+    if (!STAFF_ROLES.includes(role)) {
+      throw new Error(`Unknown staff role "${role}" (expected ${STAFF_ROLES.join(" or ")}).`);
+    }
+    sectionIds.forEach((id) => this._requireSection(id));
+
+    const email = person.email ? normalizeEmail(person.email) : "";
+    const existing = this.staff.find(
+      (m) => m.role === role && (email ? m.email === email : m.name === person.name)
+    );
+    if (existing) {
+      existing.sectionIds = [...new Set([...existing.sectionIds, ...sectionIds])];
+      return existing;
+    }
+
+    const member = { name: person.name, email, role, sectionIds: [...sectionIds] };
+    this.staff.push(member);
+    return member;
+  }
+
+  get instructors() {
+    return this.staff.filter((m) => m.role === "instructor");
+  }
+
+  get teachingAssistants() {
+    return this.staff.filter((m) => m.role === "ta");
+  }
+
+  sectionOf(studentId) {
+    for (const section of this.sections.values()) {
+      if (section.studentIds.has(studentId)) return section.sectionId;
+    }
+    return null;
+  }
+
+  // Move an enrolled student into a section (null to take them out of all sections)
+  placeInSection(studentId, sectionId) {
+    if (!this.classList.findStudentById(studentId)) {
+      throw new RegistryLookupError(`${studentId} is not enrolled in ${this.courseId}.`);
+    }
+    const target = sectionId === null ? null : this._requireSection(sectionId);
+    this.sections.forEach((section) => section.studentIds.delete(studentId));
+    if (target) target.studentIds.add(studentId);
+  }
+
+  sectionStudents(sectionId) {
+    const section = this._requireSection(sectionId);
+    return this.classList.students.filter((s) => section.studentIds.has(s.id));
+  }
+}
+
+// Every course, keyed by course ID, plus the people enrolled in them. A person
+// keeps one student ID everywhere; each course holds its own Student record
+// (its own assignments and grades) under that ID.
+class CourseRegistry {
+  // options.clock / options.observer / options.silent are passed to every course's ClassList
+  constructor(options = {}) {
+    this.courses = new Map();
+    this.students = new Map(); // id → { id, fullName, email }
+    this.clock = options.clock || systemClock;
+    this.events = new EventBus(); // every course's events, tagged with courseId
+    this._courseOptions = { clock: this.clock, observer: options.observer, silent: options.silent };
+  }
+
+  // Build a registry from course records shaped like courses.json
+  // ({ id, title, department, credits, instructor, semester }).
+  static fromCatalog(records, options = {}) {
+    const registry = new CourseRegistry(options);
+    records.forEach((raw) => {
+      const course = registry.addCourse({
+        courseId: raw.id,
+        title: raw.title,
+        department: raw.department,
+        credits: raw.credits,
+        semester: raw.semester,
+      });
+      if (raw.instructor) course.assignStaff({ name: raw.instructor }, "instructor");
+    });
+    return registry;
+  }
+
+  // info: { courseId, title, department, credits, semester }; options go to the ClassList
+  addCourse(info, options = {}) {
+    if (this.courses.has(info.courseId)) {
+      throw new Error(`Course ${info.courseId} already exists.`);
+    }
+
+    const course = new CourseOffering(info, { ...this._courseOptions, ...options });
+    course.classList.events.subscribe((event, student) => {
+      this.events.publish({ ...event, courseId: course.courseId }, student);
+    });
+    this.courses.set(course.courseId, course);
+    return course;
+  }
+
+  getCourse(courseId) {
+    const course = this.courses.get(courseId);
+    if (!course) throw new RegistryLookupError(`No course ${courseId}.`);
+    return course;
+  }
+
+  removeCourse(courseId) {
+    this.getCourse(courseId);
+    this.courses.delete(courseId);
+  }
+
+  // Add a person to the registry (not to any course yet). Returns their record.
+  registerStudent(fullName, email) {
+    // a throwaway Student validates and normalises the email and mints the ID
+    const probe = new Student(fullName, email);
+    if (probe.email && this.findStudentByEmail(probe.email)) {
+      throw new DuplicateStudentError(
+        `${probe.email} is already registered.`,
+        this.findStudentByEmail(probe.email)
+      );
+    }
+
+    const record = { id: probe.id, fullName: probe.fullName, email: probe.email };
+    this.students.set(record.id, record);
+    return record;
+  }
+
+  findStudentByEmail(email) {
+    const normalized = normalizeEmail(email);
+    for (const record of this.students.values()) {
+      if (record.email === normalized) return record;
+    }
+    return null;
+  }
+
+  _requireStudent(studentId) {
+    const record = this.students.get(studentId);
+    if (!record) throw new RegistryLookupError(`No registered student ${studentId}.`);
+    return record;
+  }
+
+  // Enroll a registered student in a course (and optionally a section).
+  // Returns the course's Student record for them.
+  enroll(studentId, courseId, sectionId = null) {
+    const record = this._requireStudent(studentId);
+    const course = this.getCourse(courseId);
+
+    let student = course.classList.findStudentById(studentId);
+    if (!student) {
+      student = new Student(record.fullName, record.email, this._courseOptions.observer, record.id);
+      course.classList.addStudent(student);
+    }
+    if (sectionId !== null) course.placeInSection(studentId, sectionId);
+    return student;
+  }
+
+  drop(studentId, courseId) {
+    const course = this.getCourse(courseId);
+    if (!course.classList.removeStudent(studentId)) {
+      throw new RegistryLookupError(`${studentId} is not enrolled in ${courseId}.`);
+    }
+    course.sections.forEach((section) => section.studentIds.delete(studentId));
+  }
+
+  // Courses a student is enrolled in
+  coursesFor(studentId) {
+    this._requireStudent(studentId);
+    return [...this.courses.values()].filter((c) => c.classList.findStudentById(studentId));
+  }
+
+  // Courses where someone (by name or email) is on staff, optionally in one role
+  coursesTaughtBy(nameOrEmail, role) {
+    const email = normalizeEmail(nameOrEmail);
+    return [...this.courses.values()].filter((c) =>
+      c.staff.some(
+        (m) => (!role || m.role === role) && (m.name === nameOrEmail || (m.email && m.email === email))
+      )
+    );
+  }
+
+  // Every released/working/final-reminder assignment a student has, across all courses
+  outstandingWorkFor(studentId) {
+    return this.coursesFor(studentId).flatMap((course) => {
+      const student = course.classList.findStudentById(studentId);
+      return student.assignmentStatuses
+        .filter((a) => OUTSTANDING_STATUSES.includes(a.status))
+        .map((a) => ({
+          courseId: course.courseId,
+          sectionId: course.sectionOf(studentId),
+          assignmentName: a.assignmentName,
+          status: a.status,
+          dueDate: a.effectiveDueDate, // including any extension
+        }));
+    });
+  }
+
+  // Overall grade in every course the student takes
+  gradesFor(studentId) {
+    return this.coursesFor(studentId).map((course) => ({
+      courseId: course.courseId,
+      overallGrade: course.classList.findStudentById(studentId).getGrade(),
+    }));
+  }
+}
+
+module.exports = {
+  STAFF_ROLES,
+  RegistryLookupError,
+  CourseOffering,
+  CourseRegistry,
+};
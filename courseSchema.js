@@ -0,0 +1,188 @@
+// ====== Course schema ======
+// What a course record in an imported file must look like, checked field by
+// field so an import can report every problem (record, line, field) at once
+// instead of rejecting the whole file. Uses parseDays / parseClockTime from
+// schedulePlanner.js.
+
+const SEMESTER_TERMS = ["Winter", "Spring", "Summer", "Fall"];
+
+/**
+ * Field rules:
+ *   type      "string" | "integer" | "number" | "array" | "object" (or a list of them)
+ *   required  the key must be present, and not null unless `nullable`
+ *   nonEmpty  strings must have non-space text, arrays at least one item
+ *   pattern   RegExp a string must match; `format` describes it in messages
+ *   min / max / multipleOf   for numbers
+ *   unique    no two records may share the value
+ *   items     rule for every array item; `fields` nests a schema for objects
+ *   check     (value, record) → error message or null, run after the rest passed
+ */
+const MEETING_SCHEMA = {
+    days: {
+        type: ["string", "array"],
+        required: true,
+        check: value => (parseDays(value).length === 0 ? "has no recognisable days (use e.g. MWF or TR)." : null),
+    },
+    start: { type: "string", required: true, check: value => clockTimeError(value) },
+    end: {
+        type: "string",
+        required: true,
+        check: (value, meeting) => {
+            const error = clockTimeError(value);
+            if (error) return error;
+            const start = parseClockTime(meeting.start);
+            return start !== null && parseClockTime(value) <= start ? "must be after start." : null;
+        },
+    },
+    location: { type: "string" },
+};
+
+const COURSE_SCHEMA = {
+    id: { type: "string", required: true, unique: true, pattern: /^[A-Z]{2,6}\d{3}[A-Z]?$/, format: "a course code like CS101" },
+    title: { type: "string", required: true, nonEmpty: true },
+    department: { type: "string", required: true, nonEmpty: true },
+    level: { type: "integer", required: true, min: 100, max: 900, multipleOf: 100 },
+    credits: { type: "number", required: true, min: 0, max: 12 },
+    instructor: { type: "string", required: true, nullable: true }, // null = to be announced
+    description: { type: "string", required: true },
+    semester: {
+        type: "string",
+        required: true,
+        pattern: new RegExp(`^(${SEMESTER_TERMS.join("|")}) \\d{4}$`),
+        format: `a term and year like "Fall 2025" (${SEMESTER_TERMS.join(", ")})`,
+    },
+    meetings: { type: "array", items: { type: "object", fields: MEETING_SCHEMA } },
+    prerequisites: { type: "array", items: { type: "string", nonEmpty: true } },
+    corequisites: { type: "array", items: { type: "string", nonEmpty: true } },
+    capacity: { type: "integer", min: 0 },
+    enrolled: {
+        type: "integer",
+        min: 0,
+        check: (value, record) =>
+            typeof record.capacity === "number" && value > record.capacity ? "is more than capacity." : null,
+    },
+};
+
+function clockTimeError(value) {
+    return parseClockTime(value) === null ? `"${value}" is not a time (use e.g. 09:00 or 1:30pm).` : null;
+}
+
+function valueType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function describeType(type) {
+    const names = { string: "text", integer: "a whole number", number: "a number", array: "a list", object: "an object" };
+    return [].concat(type).map(t => names[t] || t).join(" or ");
+}
+
+// Problems with one value against one rule, as [{ field, message }]
+function checkValue(value, rule, field, record) {
+    const actual = valueType(value);
+    const allowed = [].concat(rule.type || []);
+    const typeOk = allowed.length === 0 || allowed.includes(actual) || (actual === "integer" && allowed.includes("number"));
+    if (!typeOk) {
+        return [{ field, message: `must be ${describeType(rule.type)} (got ${JSON.stringify(value)}).` }];
+    }
+
+    const problems = [];
+    const fail = message => problems.push({ field, message });
+
+    if (rule.nonEmpty && (typeof value === "string" ? !value.trim() : actual === "array" && value.length === 0)) {
+        fail("must not be empty.");
+    }
+    if (rule.pattern && typeof value === "string" && !rule.pattern.test(value)) {
+        fail(`must be ${rule.format || `in the form ${rule.pattern}`} (got "${value}").`);
+    }
+    if (typeof value === "number") {
+        if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min} (got ${value}).`);
+        if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max} (got ${value}).`);
+        if (rule.multipleOf && value % rule.multipleOf !== 0) fail(`must be a multiple of ${rule.multipleOf} (got ${value}).`);
+    }
+    if (actual === "array" && rule.items) {
+        value.forEach((item, i) => problems.push(...checkValue(item, rule.items, `${field}[${i}]`, value)));
+    }
+    if (actual === "object" && rule.fields) {
+        problems.push(...checkRecord(value, rule.fields, `${field}.`));
+    }
+    if (problems.length === 0 && rule.check) {
+        const message = rule.check(value, record);
+        if (message) fail(message);
+    }
+    return problems;
+}
+
+// Problems with one object against a schema (uniqueness is checked across records)
+function checkRecord(record, schema, prefix = "") {
+    const problems = [];
+    Object.keys(schema).forEach(key => {
+        const rule = schema[key];
+        const value = record[key];
+        if (value === undefined) {
+            if (rule.required) problems.push({ field: prefix + key, message: "is missing." });
+            return;
+        }
+        if (value === null) {
+            if (rule.required && !rule.nullable) problems.push({ field: prefix + key, message: "must not be null." });
+            return;
+        }
+        problems.push(...checkValue(value, rule, prefix + key, record));
+    });
+    return problems;
+}
+
+/**
+ * Check imported course records against COURSE_SCHEMA. `lines` and `files`
+ * optionally give each record's line and file name (see courseFormats.js).
+ * Returns { validRecords, errors: [{ index, file, line, id, field, message }], invalidCount }:
+ * a record with any error is left out of validRecords; for a duplicate value of
+ * a unique field the first record keeps it.
+ */
+function validateCourseRecords(records, lines = [], files = []) {
+    const errors = [];
+    const validRecords = [];
+    const seen = {}; // unique field → Map value → index of the first record with it
+    Object.keys(COURSE_SCHEMA).forEach(key => {
+        if (COURSE_SCHEMA[key].unique) seen[key] = new Map();
+    });
+
+    records.forEach((record, index) => {
+        const line = lines[index] || null;
+        const file = files[index] || null;
+        const isObject = valueType(record) === "object";
+        const id = isObject && typeof record.id === "string" ? record.id : "";
+        const problems = isObject
+            ? checkRecord(record, COURSE_SCHEMA)
+            : [{ field: null, message: `is not an object (got ${JSON.stringify(record)}).` }];
+
+        Object.keys(seen).forEach(key => {
+            if (!isObject || record[key] === undefined || record[key] === null) return;
+            const first = seen[key].get(record[key]);
+            if (first === undefined) seen[key].set(record[key], index);
+            else problems.push({ field: key, message: `"${record[key]}" is already used by record ${describeRecordAt(first, lines, files)}.` });
+        });
+
+        problems.forEach(p => errors.push({ index, file, line, id, field: p.field, message: p.message }));
+        if (problems.length === 0) validRecords.push(record);
+    });
+
+    return { validRecords, errors, invalidCount: records.length - validRecords.length };
+}
+
+// "#3 (line 41)" or "#3 (extra.csv, line 41)" — record numbers are 1-based, like lines
+function describeRecordAt(index, lines = [], files = []) {
+    const where = [files[index], lines[index] && `line ${lines[index]}`].filter(Boolean);
+    return where.length > 0 ? `#${index + 1} (${where.join(", ")})` : `#${index + 1}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        SEMESTER_TERMS,
+        COURSE_SCHEMA,
+        validateCourseRecords,
+        describeRecordAt,
+    };
+}
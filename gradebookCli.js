@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// gradebookCli.js
+"use strict";
+
+const path = require("path");
+const { ClassList, Student, ManualClock } = require("./assignmentManager");
+const { FileStorageAdapter, saveClassList, loadClassList } = require("./gradebookStorage");
+
+const USAGE = `Usage: node gradebookCli.js <command> [args] [--file class.json] [--json]
+
+Commands:
+  init                              create an empty class file
+  add-student <name> <email>        add a student to the class
+  remove-student <student>          remove a student
+  release <assignment> [...]        release assignments to every student
+  start <student> <assignment>      start working (auto-submits on a later run)
+  submit <student> <assignment>     submit an assignment
+  remind <assignment>               send a final reminder to everyone still outstanding
+  outstanding [assignment]          list students with outstanding work
+  report                            print a grade report
+
+<student> is a student ID, email or full name.
+
+Options:
+  --file <path>   class file to use (default: gradebook.json)
+  --json          print JSON instead of a table`;
+
+// ====== Argument parsing ======
+
+function parseArgs(argv) {
+  const options = { file: "gradebook.json", json: false, help: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") options.json = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else if (arg === "--file") {
+      if (i + 1 >= argv.length) throw new Error("--file needs a path.");
+      options.file = argv[++i];
+    } else if (arg.startsWith("--file=")) options.file = arg.slice("--file=".length);
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}.`);
+    else positional.push(arg);
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+// The class file lives at <dir>/<key>.json in a FileStorageAdapter
+function storageFor(file) {
+  if (path.extname(file) !== ".json") {
+    throw new Error("The class file must end in .json.");
+  }
+  return {
+    storage: new FileStorageAdapter(path.dirname(path.resolve(file))),
+    key: path.basename(file, ".json"),
+  };
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) throw new Error(`Usage: ${usage}`);
+}
+
+// By ID, email or unambiguous name
+function requireStudent(classList, key) {
+  const student = classList.resolveStudent(key);
+  if (!student) throw new Error(`No student matches ${key}.`);
+  return student;
+}
+
+function assignmentData(student, assignmentName) {
+  return {
+    id: student.id,
+    name: student.fullName,
+    assignmentName,
+    status: student.getAssignmentStatus(assignmentName),
+  };
+}
+
+// Bulk reports list only the students that failed, as table rows
+function bulkResult(report, message, data) {
+  const failures = report.results
+    .filter((r) => r.status === "rejected")
+    .map((r) => ({ Student: r.student, Error: r.error.message }));
+
+  return {
+    message: failures.length > 0 ? `${message} ${failures.length} failed.` : message,
+    rows: failures,
+    data: {
+      ...data,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      results: report.results.map(({ error, ...r }) => (error ? { ...r, error: error.message } : r)),
+    },
+  };
+}
+
+// ====== Commands ======
+// Each command returns { message?, rows?, data }: `data` is printed in JSON mode,
+// `rows` (an array of flat objects) as a table otherwise.
+
+function gradeReport(classList) {
+  const names = [];
+  classList.students.forEach((s) =>
+    s.assignmentStatuses.forEach((a) => {
+      if (!names.includes(a.assignmentName)) names.push(a.assignmentName);
+    })
+  );
+
+  const data = classList.students.map((s) => ({
+    id: s.id,
+    name: s.fullName,
+    email: s.email,
+    overallGrade: s.getGrade(),
+    assignments: s.assignmentStatuses.map((a) => ({
+      assignmentName: a.assignmentName,
+      status: a.status,
+      grade: a._graded ? a._grade : null,
+      letterGrade: a.letterGrade,
+    })),
+  }));
+
+  const rows = data.map((s) => {
+    const row = { Name: s.name, Email: s.email };
+    names.forEach((name) => {
+      const a = s.assignments.find((x) => x.assignmentName === name);
+      row[name] = !a ? "" : a.grade === null ? a.status : `${a.status} (${formatNumber(a.grade)})`;
+    });
+    row.Overall = s.overallGrade === null ? "" : formatNumber(s.overallGrade);
+    return row;
+  });
+
+  return { data, rows };
+}
+
+const COMMANDS = {
+  init(classList) {
+    return { message: "Created an empty class.", data: { students: 0 } };
+  },
+
+  "add-student"(classList, args) {
+    requireArgs(args, 2, "add-student <name> <email>");
+    const student = new Student(args[0], args[1]);
+    classList.addStudent(student);
+    return {
+      message: `${student.fullName} has been added to the classlist (ID ${student.id}).`,
+      data: { id: student.id, name: student.fullName, email: student.email },
+    };
+  },
+
+  "remove-student"(classList, args) {
+    requireArgs(args, 1, "remove-student <student>");
+    const student = requireStudent(classList, args[0]);
+    classList.removeStudent(student);
+    return {
+      message: `${student.fullName} has been removed.`,
+      data: { id: student.id, name: student.fullName },
+    };
+  },
+
+  async release(classList, args) {
+    requireArgs(args, 1, "release <assignment> [...]");
+    const report = await classList.releaseAssignmentsParallel(args);
+    return bulkResult(report, `Released ${args.join(", ")} to ${report.succeeded} student(s).`, {
+      released: args,
+    });
+  },
+
+  start(classList, args) {
+    requireArgs(args, 2, "start <student> <assignment>");
+    const student = requireStudent(classList, args[0]);
+    student.startWorking(args[1]);
+    return {
+      message: `${student.fullName} is working on ${args[1]}.`,
+      data: assignmentData(student, args[1]),
+    };
+  },
+
+  submit(classList, args) {
+    requireArgs(args, 2, "submit <student> <assignment>");
+    const student = requireStudent(classList, args[0]);
+    student.submitAssignment(args[1]);
+    return {
+      message: `${student.fullName}: ${args[1]} is ${student.getAssignmentStatus(args[1])}.`,
+      data: assignmentData(student, args[1]),
+    };
+  },
+
+  async remind(classList, args) {
+    requireArgs(args, 1, "remind <assignment>");
+    const report = await classList.sendReminder(args[0]);
+    return bulkResult(report, `Sent a final reminder for ${args[0]} to ${report.succeeded} student(s).`, {
+      assignmentName: args[0],
+    });
+  },
+
+  outstanding(classList, args) {
+    const names = classList.findOutstandingAssignments(args[0]);
+    return {
+      data: names,
+      rows: names.map((name) => ({ Student: name })),
+      message: names.length === 0 ? "No outstanding work." : undefined,
+    };
+  },
+
+  report(classList) {
+    return gradeReport(classList);
+  },
+};
+
+// ====== Output ======
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function renderTable(rows) {
+  const headers = Object.keys(rows[0]);
+  const widths = headers.map((h) =>
+    Math.max(h.length, ...rows.map((r) => String(r[h]).length))
+  );
+  const line = (cells) =>
+    cells.map((c, i) => String(c).padEnd(widths[i])).join(" | ").trimEnd();
+
+  return [
+    line(headers),
+    widths.map((w) => "-".repeat(w)).join("-+-"),
+    ...rows.map((r) => line(headers.map((h) => r[h]))),
+  ].join("\n");
+}
+
+function print(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result.data, null, 2));
+    return;
+  }
+  if (result.rows && result.rows.length > 0) console.log(renderTable(result.rows));
+  if (result.message) console.log(result.message);
+}
+
+// ====== Main ======
+
+async function main(argv) {
+  const { command, args, options } = parseArgs(argv);
+
+  if (options.help || !command || command === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Run with --help for a list.`);
+  }
+
+  // Simulated clock starting at the real time: timers saved by an earlier run
+  // that are now due fire on load, and anything new is saved for the next run.
+  const clock = new ManualClock(Date.now());
+  const { storage, key } = storageFor(options.file);
+
+  let classList = await loadClassList(storage, key, { clock, silent: true });
+  if (!classList) {
+    if (command !== "init") {
+      throw new Error(`No class file at ${options.file}. Run "init" first.`);
+    }
+    classList = new ClassList(null, { clock, silent: true });
+  } else if (command === "init") {
+    throw new Error(`${options.file} already exists.`);
+  }
+  clock.advance(0);
+
+  const result = await COMMANDS[command](classList, args);
+  await saveClassList(storage, key, classList);
+  print(result, options.json);
+  return 0;
+}
+
+if (require.main === module) {
+  const json = process.argv.includes("--json");
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      if (json) console.error(JSON.stringify({ error: err.message }));
+      else console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
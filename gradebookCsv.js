@@ -0,0 +1,394 @@
+// gradebookCsv.js
+"use strict";
+
+const {
+  Student,
+  InvalidEmailError,
+  DuplicateStudentError,
+} = require("./assignmentManager");
+
+// ====== CSV parsing / writing ======
+
+// RFC 4180-style parser: quoted fields, "" escapes, embedded newlines, CRLF, BOM.
+// The course explorer's parseCsvRows / csvCell (courseFormats.js) follow the same rules.
+// Returns records as { line, cells }, where `line` is the 1-based line the record starts on.
+function parseCsvRecords(text) {
+  const records = [];
+  let cells = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRecord = () => {
+    cells.push(field);
+    // skip completely blank lines
+    if (cells.length > 1 || cells[0].trim() !== "") {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    field = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === ",") {
+      cells.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}.`);
+  }
+  if (field !== "" || cells.length > 0) endRecord();
+
+  return records;
+}
+
+function parseCsv(text) {
+  return parseCsvRecords(text).map((r) => r.cells);
+}
+
+function escapeCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ====== Column layouts ======
+// Export layouts mirror the gradebook exports of common LMSs; import accepts all of them.
+// Every layout starts with a Canvas-style "Points Possible" row, so grades (in
+// points) keep their maxPoints when the file is imported again.
+
+const GRADEBOOK_LAYOUTS = {
+  default: {
+    identityHeaders: ["Name", "Email"],
+    identityCells: (s) => [s.fullName, s.email],
+    assignmentHeader: (name) => name,
+    statusColumns: true,
+    totalHeader: "Overall Grade",
+  },
+  canvas: {
+    identityHeaders: ["Student", "SIS Login ID"],
+    identityCells: (s) => [lastNameFirst(s.fullName), s.email],
+    assignmentHeader: (name) => name,
+    statusColumns: false,
+    totalHeader: "Final Score",
+  },
+  moodle: {
+    identityHeaders: ["First name", "Last name", "Email address"],
+    identityCells: (s) => [...splitName(s.fullName), s.email],
+    assignmentHeader: (name) => `Assignment: ${name} (Real)`,
+    statusColumns: false,
+    totalHeader: "Course total (Real)",
+  },
+};
+
+const NAME_HEADERS = ["name", "full name", "student", "student name"];
+const FIRST_NAME_HEADERS = ["first name", "given name"];
+const LAST_NAME_HEADERS = ["last name", "surname", "family name"];
+const EMAIL_HEADERS = ["email", "email address", "sis login id", "login id"];
+
+// Aggregate / bookkeeping columns that are never assignments
+const IGNORED_HEADERS = [
+  "id",
+  "sis user id",
+  "integration id",
+  "section",
+  "root account",
+  "overall grade",
+  "course total",
+  "last downloaded from this course",
+];
+const IGNORED_HEADER_PATTERN = /\b(current|final|unposted)( current| final)? (score|points|grade)$/;
+
+// "Doe, Jane" ↔ "Jane Doe"
+function splitName(fullName) {
+  const parts = fullName.trim().split(/\s+/);
+  if (parts.length < 2) return [fullName.trim(), ""];
+  return [parts.slice(0, -1).join(" "), parts[parts.length - 1]];
+}
+
+function lastNameFirst(fullName) {
+  const [first, last] = splitName(fullName);
+  return last ? `${last}, ${first}` : first;
+}
+
+function joinName(value) {
+  const comma = value.indexOf(",");
+  if (comma === -1) return value.trim();
+  return `${value.slice(comma + 1).trim()} ${value.slice(0, comma).trim()}`.trim();
+}
+
+// Strip LMS decorations: "Assignment: HW1 (Real)", "HW1 (12345)", "HW1 [Total Pts: 10 Score] |99"
+function normalizeAssignmentHeader(header) {
+  return header
+    .replace(/\s*\|\s*\d+$/, "")
+    .replace(/\s*\[Total Pts:[^\]]*\]$/i, "")
+    .replace(/^(Assignment|Quiz|Forum|Workshop):\s*/i, "")
+    .replace(/\s*\((Real|Percentage|Letter|\d+)\)$/i, "")
+    .trim();
+}
+
+// Work out which columns identify the student and which hold assignments
+function classifyColumns(headers) {
+  const columns = { name: -1, firstName: -1, lastName: -1, email: -1, assignments: [] };
+
+  headers.forEach((raw, index) => {
+    const header = raw.trim();
+    const key = header.toLowerCase();
+
+    if (NAME_HEADERS.includes(key) && columns.name === -1) columns.name = index;
+    else if (FIRST_NAME_HEADERS.includes(key)) columns.firstName = index;
+    else if (LAST_NAME_HEADERS.includes(key)) columns.lastName = index;
+    else if (EMAIL_HEADERS.includes(key) && columns.email === -1) columns.email = index;
+    else if (
+      header === "" ||
+      / status$/i.test(header) ||
+      IGNORED_HEADERS.includes(normalizeAssignmentHeader(header).toLowerCase()) ||
+      IGNORED_HEADER_PATTERN.test(key)
+    ) {
+      // not an assignment
+    } else {
+      columns.assignments.push({ index, assignmentName: normalizeAssignmentHeader(header) });
+    }
+  });
+
+  return columns;
+}
+
+function readIdentity(cells, columns) {
+  const cell = (i) => (i === -1 ? "" : (cells[i] || "").trim());
+
+  let fullName = joinName(cell(columns.name));
+  if (!fullName && (columns.firstName !== -1 || columns.lastName !== -1)) {
+    fullName = `${cell(columns.firstName)} ${cell(columns.lastName)}`.trim();
+  }
+
+  return { fullName, email: cell(columns.email) };
+}
+
+// By email, then by name (throws AmbiguousStudentError if the name is shared)
+function findStudent(classList, { fullName, email }) {
+  const byEmail = email ? classList.findStudentByEmail(email) : null;
+  if (byEmail) return byEmail;
+  return fullName ? classList.resolveStudent(fullName) : null;
+}
+
+// ====== Import ======
+
+// Add every student in a roster CSV (name + email columns, or first/last name).
+// Bad rows are skipped and reported; returns { added: [names], errors: [{ row, message }] }.
+function importRoster(classList, csvText, options = {}) {
+  const records = parseCsvRecords(csvText);
+  const result = { added: [], errors: [] };
+  if (records.length === 0) return result;
+
+  const columns = classifyColumns(records[0].cells);
+  if (columns.name === -1 && columns.firstName === -1 && columns.lastName === -1) {
+    result.errors.push({ row: records[0].line, message: "No name column found in the header." });
+    return result;
+  }
+
+  records.slice(1).forEach(({ line, cells }) => {
+    const { fullName, email } = readIdentity(cells, columns);
+
+    if (/^points possible$/i.test(fullName)) return; // Canvas header row, not a student
+
+    if (!fullName) {
+      result.errors.push({ row: line, message: "Missing student name." });
+      return;
+    }
+    // without an email the name is all we have to spot a re-imported row
+    if (!email && classList.findStudentByName(fullName)) {
+      result.errors.push({ row: line, message: `${fullName} is already on the class list.` });
+      return;
+    }
+
+    try {
+      classList.addStudent(new Student(fullName, email, options.observer));
+      result.added.push(fullName);
+    } catch (err) {
+      if (!(err instanceof InvalidEmailError) && !(err instanceof DuplicateStudentError)) throw err;
+      result.errors.push({ row: line, message: err.message });
+    }
+  });
+
+  return result;
+}
+
+// Enter grades from a students × assignments matrix. Students are matched by
+// email, then by name. A "Points Possible" row (from Canvas, or any
+// exportGradebook layout) sets maxPoints for assignments that haven't been
+// released yet. Returns
+// { updated: number of grades entered, errors: [{ row, column, message }] }.
+function importGrades(classList, csvText) {
+  const records = parseCsvRecords(csvText);
+  const result = { updated: 0, errors: [] };
+  if (records.length === 0) return result;
+
+  const columns = classifyColumns(records[0].cells);
+  if (columns.assignments.length === 0) {
+    result.errors.push({ row: records[0].line, column: null, message: "No assignment columns found." });
+    return result;
+  }
+
+  records.slice(1).forEach(({ line, cells }) => {
+    const identity = readIdentity(cells, columns);
+
+    if (/^points possible$/i.test(identity.fullName)) {
+      columns.assignments.forEach(({ index, assignmentName }) => {
+        const maxPoints = Number(cells[index]);
+        if (cells[index] && cells[index].trim() !== "" && maxPoints > 0) {
+          classList.defineAssignment(assignmentName, { maxPoints });
+        }
+      });
+      return;
+    }
+
+    let student;
+    try {
+      student = findStudent(classList, identity);
+    } catch (err) {
+      result.errors.push({ row: line, column: null, message: err.message });
+      return;
+    }
+    if (!student) {
+      result.errors.push({
+        row: line,
+        column: null,
+        message: `Unknown student ${identity.fullName || identity.email || "(blank)"}.`,
+      });
+      return;
+    }
+
+    columns.assignments.forEach(({ index, assignmentName }) => {
+      const raw = (cells[index] || "").trim();
+      if (raw === "" || raw === "-") return;
+
+      const grade = Number(raw);
+      if (!Number.isFinite(grade)) {
+        result.errors.push({ row: line, column: assignmentName, message: `"${raw}" is not a number.` });
+        return;
+      }
+
+      const existing = student._findAssignment(assignmentName);
+      if (existing && existing._graded) {
+        if (existing._grade !== grade) {
+          result.errors.push({
+            row: line,
+            column: assignmentName,
+            message: `${assignmentName} is already graded (${existing._grade}).`,
+          });
+        }
+        return;
+      }
+
+      try {
+        student.updateAssignmentStatus(assignmentName, grade);
+        result.updated++;
+      } catch (err) {
+        result.errors.push({ row: line, column: assignmentName, message: err.message });
+      }
+    });
+  });
+
+  return result;
+}
+
+// ====== Export ======
+
+function formatNumber(value) {
+  return value === null || value === undefined ? "" : String(Math.round(value * 100) / 100);
+}
+
+// Every assignment name in the class, in the order first seen
+function collectAssignmentNames(classList) {
+  const names = Object.keys(classList.assignmentDefinitions);
+  classList.students.forEach((s) => {
+    s.assignmentStatuses.forEach((a) => {
+      if (!names.includes(a.assignmentName)) names.push(a.assignmentName);
+    });
+  });
+  return names;
+}
+
+// Statuses, grades and overall grade for the whole class as CSV text.
+// layout: "default" (with status columns), "canvas" or "moodle".
+function exportGradebook(classList, layout = "default") {
+  const format = GRADEBOOK_LAYOUTS[layout];
+  if (!format) {
+    throw new Error(`Unknown gradebook layout "${layout}".`);
+  }
+
+  const names = collectAssignmentNames(classList);
+  const header = [...format.identityHeaders];
+  names.forEach((name) => {
+    header.push(format.assignmentHeader(name));
+    if (format.statusColumns) header.push(`${name} Status`);
+  });
+  header.push(format.totalHeader);
+
+  const rows = [header];
+
+  const pointsRow = format.identityHeaders.map((h, i) => (i === 0 ? "Points Possible" : ""));
+  names.forEach((name) => {
+    const assignment = classList.students
+      .map((s) => s._findAssignment(name))
+      .find(Boolean);
+    const definition = classList.getAssignmentDefinition(name);
+    pointsRow.push(formatNumber(assignment ? assignment.maxPoints : definition.maxPoints || 100));
+    if (format.statusColumns) pointsRow.push("");
+  });
+  pointsRow.push("");
+  rows.push(pointsRow);
+
+  classList.students.forEach((student) => {
+    const row = format.identityCells(student);
+    names.forEach((name) => {
+      const assignment = student._findAssignment(name);
+      row.push(assignment && assignment._graded ? formatNumber(assignment._grade) : "");
+      if (format.statusColumns) row.push(student.getAssignmentStatus(name));
+    });
+    row.push(formatNumber(student.getGrade()));
+    rows.push(row);
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = {
+  GRADEBOOK_LAYOUTS,
+  parseCsv,
+  toCsv,
+  normalizeAssignmentHeader,
+  importRoster,
+  importGrades,
+  exportGradebook,
+};
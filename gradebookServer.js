@@ -0,0 +1,445 @@
+// gradebookServer.js
+"use strict";
+
+const http = require("http");
+const path = require("path");
+const {
+  ClassList,
+  Student,
+  InvalidTransitionError,
+  LateSubmissionError,
+  RegradeRequestError,
+  GraderInputError,
+  InvalidEmailError,
+  DuplicateStudentError,
+  AmbiguousStudentError,
+} = require("./assignmentManager");
+const { FileStorageAdapter, saveClassList, loadClassList } = require("./gradebookStorage");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SSE_HEARTBEAT_MS = 15000;
+
+// An error with an HTTP status; `details` lists per-field problems
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details || null;
+  }
+}
+
+// ====== Request helpers ======
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(text),
+  });
+  res.end(text);
+}
+
+// A %-encoded path segment; a malformed one (e.g. %E0) is the client's error
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new HttpError(400, `Malformed path segment "${value}".`);
+  }
+}
+
+// `res` is only used to drop an oversized upload once its 413 has been sent
+function readJsonBody(req, res) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let tooLarge = false;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+        reject(new HttpError(413, "Request body is too large."));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (text.trim() === "") return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          reject(new HttpError(400, "Request body must be a JSON object."));
+        } else {
+          resolve(body);
+        }
+      } catch (err) {
+        reject(new HttpError(400, "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string" && v.trim() !== "",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  object: (v) => typeof v === "object" && !Array.isArray(v),
+  date: (v) => (typeof v === "string" || typeof v === "number") && !Number.isNaN(new Date(v).getTime()),
+  "string[]": (v) => Array.isArray(v) && v.length > 0 && v.every(TYPE_CHECKS.string),
+};
+
+const TYPE_NAMES = {
+  string: "non-empty string",
+  number: "number",
+  object: "object",
+  date: "date",
+  "string[]": "non-empty array of strings",
+};
+
+// Check a body against { field: type }, where type is a TYPE_CHECKS key and a
+// trailing "?" marks optional fields. Throws a 400 listing every bad field.
+function validate(body, shape) {
+  const details = [];
+
+  Object.entries(shape).forEach(([field, rule]) => {
+    const optional = rule.endsWith("?");
+    const type = optional ? rule.slice(0, -1) : rule;
+    const value = body[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) details.push({ field, message: "is required" });
+      return;
+    }
+
+    if (!TYPE_CHECKS[type](value)) {
+      details.push({ field, message: `must be a ${TYPE_NAMES[type]}` });
+    }
+  });
+
+  if (details.length > 0) {
+    throw new HttpError(400, "Invalid request body.", details);
+  }
+}
+
+// Students are addressed by ID, email or unambiguous full name
+function requireStudent(classList, key) {
+  const student = classList.resolveStudent(key);
+  if (!student) throw new HttpError(404, `No student matches ${key}.`);
+  return student;
+}
+
+function requireAssignment(student, assignmentName) {
+  const assignment = student._findAssignment(assignmentName);
+  if (!assignment) {
+    throw new HttpError(404, `${student.fullName} has no assignment named ${assignmentName}.`);
+  }
+  return assignment;
+}
+
+// ====== Serializers ======
+
+function assignmentView(a) {
+  return {
+    assignmentName: a.assignmentName,
+    status: a.status,
+    grade: a._graded ? a._grade : null,
+    letterGrade: a.letterGrade,
+    category: a.category,
+    maxPoints: a.maxPoints,
+    dueDate: a.dueDate,
+    submittedAt: a.submittedAt,
+    isLate: a.isLate,
+    latePenalty: a.latePenalty,
+  };
+}
+
+function studentView(s) {
+  return {
+    id: s.id,
+    fullName: s.fullName,
+    email: s.email,
+    overallGrade: s.getGrade(),
+    assignments: s.assignmentStatuses.map(assignmentView),
+  };
+}
+
+// Per-assignment status counts across the class
+function assignmentSummaries(classList) {
+  const summaries = {};
+
+  Object.keys(classList.assignmentDefinitions).forEach((name) => {
+    summaries[name] = { assignmentName: name, released: false, statusCounts: {} };
+  });
+  classList.students.forEach((s) => {
+    s.assignmentStatuses.forEach((a) => {
+      const summary =
+        summaries[a.assignmentName] ||
+        (summaries[a.assignmentName] = { assignmentName: a.assignmentName, statusCounts: {} });
+      summary.released = true;
+      summary.statusCounts[a.status] = (summary.statusCounts[a.status] || 0) + 1;
+    });
+  });
+
+  return Object.values(summaries);
+}
+
+function bulkResponse(report, extra) {
+  return {
+    status: report.failed > 0 ? 207 : 200,
+    body: {
+      ...extra,
+      total: report.total,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      cancelled: report.cancelled,
+      results: report.results.map(({ error, ...r }) => (error ? { ...r, error: error.message } : r)),
+    },
+  };
+}
+
+// ====== Routes ======
+// Each route is [method, path pattern, handler(ctx)]; handlers return
+// { status, body } and may throw HttpError.
+
+const ROUTES = [
+  // ?q= does a fuzzy name search
+  ["GET", /^\/students$/, ({ classList, query }) => ({
+    status: 200,
+    body: (query.get("q") ? classList.searchStudents(query.get("q")) : classList.students).map(studentView),
+  })],
+
+  ["POST", /^\/students$/, ({ classList, body }) => {
+    validate(body, { fullName: "string", email: "string" });
+    const student = new Student(body.fullName.trim(), body.email);
+    classList.addStudent(student);
+    return { status: 201, body: studentView(student) };
+  }],
+
+  ["GET", /^\/students\/([^/]+)$/, ({ classList, params }) => ({
+    status: 200,
+    body: studentView(requireStudent(classList, params[0])),
+  })],
+
+  ["DELETE", /^\/students\/([^/]+)$/, ({ classList, params }) => {
+    const student = requireStudent(classList, params[0]);
+    classList.removeStudent(student);
+    return { status: 204, body: null };
+  }],
+
+  ["POST", /^\/students\/([^/]+)\/assignments\/([^/]+)\/start$/, ({ classList, params }) => {
+    const student = requireStudent(classList, params[0]);
+    student.startWorking(params[1]);
+    return { status: 200, body: assignmentView(requireAssignment(student, params[1])) };
+  }],
+
+  ["GET", /^\/assignments$/, ({ classList }) => ({
+    status: 200,
+    body: assignmentSummaries(classList),
+  })],
+
+  ["POST", /^\/assignments$/, ({ classList, body }) => {
+    validate(body, {
+      assignmentName: "string",
+      category: "string?",
+      maxPoints: "number?",
+      passThreshold: "number?",
+      dueDate: "date?",
+    });
+
+    // graders and late policies are objects, so they can't come in over JSON
+    const options = {};
+    ["category", "maxPoints", "passThreshold", "dueDate"].forEach((field) => {
+      if (body[field] !== undefined && body[field] !== null) options[field] = body[field];
+    });
+    classList.defineAssignment(body.assignmentName, options);
+
+    return {
+      status: 201,
+      body: { assignmentName: body.assignmentName, ...classList.getAssignmentDefinition(body.assignmentName) },
+    };
+  }],
+
+  // Bulk routes stop early if the client disconnects; 207 means some students failed
+  ["POST", /^\/releases$/, async ({ classList, body, signal }) => {
+    validate(body, { assignments: "string[]", concurrency: "number?" });
+    const report = await classList.releaseAssignmentsParallel(body.assignments, {
+      concurrency: body.concurrency,
+      signal,
+    });
+    return bulkResponse(report, { released: body.assignments });
+  }],
+
+  ["POST", /^\/reminders$/, async ({ classList, body, signal }) => {
+    validate(body, { assignmentName: "string", concurrency: "number?" });
+    const report = await classList.sendReminder(body.assignmentName, {
+      concurrency: body.concurrency,
+      signal,
+    });
+    return bulkResponse(report, { assignmentName: body.assignmentName });
+  }],
+
+  ["GET", /^\/outstanding$/, ({ classList, query }) => ({
+    status: 200,
+    body: classList.findOutstandingAssignments(query.get("assignment") || undefined),
+  })],
+
+  ["POST", /^\/submissions$/, ({ classList, body }) => {
+    validate(body, { student: "string", assignmentName: "string" });
+    const student = requireStudent(classList, body.student);
+    student.submitAssignment(body.assignmentName);
+    return { status: 200, body: assignmentView(requireAssignment(student, body.assignmentName)) };
+  }],
+
+  // { grade } enters a number directly; { input } goes through the assignment's grader
+  ["POST", /^\/grades$/, async ({ classList, body }) => {
+    validate(body, { student: "string", assignmentName: "string", grade: "number?", input: "object?" });
+    if (body.grade === undefined && body.input === undefined) {
+      throw new HttpError(400, "Invalid request body.", [{ field: "grade", message: "grade or input is required" }]);
+    }
+
+    const student = requireStudent(classList, body.student);
+    requireAssignment(student, body.assignmentName); // 404 rather than creating it
+    if (body.input !== undefined) {
+      await student.gradeAssignment(body.assignmentName, body.input);
+    } else {
+      student.updateAssignmentStatus(body.assignmentName, body.grade);
+    }
+    return { status: 200, body: assignmentView(requireAssignment(student, body.assignmentName)) };
+  }],
+];
+
+// Stream every bus event as Server-Sent Events until the client disconnects
+function openEventStream(classList, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  const unsubscribe = classList.events.subscribe((event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+function errorStatus(err) {
+  if (err instanceof HttpError) return err.status;
+  if (err instanceof InvalidEmailError || err instanceof GraderInputError) return 400;
+  if (
+    err instanceof InvalidTransitionError ||
+    err instanceof LateSubmissionError ||
+    err instanceof RegradeRequestError ||
+    err instanceof DuplicateStudentError ||
+    err instanceof AmbiguousStudentError
+  ) {
+    return 409;
+  }
+  return 500;
+}
+
+// options.onChange: called after every successful write request (e.g. to persist)
+function createGradebookServer(classList, options = {}) {
+  const onChange = options.onChange || (() => {});
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "") || "/";
+
+    try {
+      if (req.method === "GET" && pathname === "/events") {
+        openEventStream(classList, req, res);
+        return;
+      }
+
+      const matches = ROUTES.filter(([, pattern]) => pattern.test(pathname));
+      if (matches.length === 0) {
+        throw new HttpError(404, `No route for ${pathname}.`);
+      }
+      const route = matches.find(([method]) => method === req.method);
+      if (!route) {
+        res.setHeader("Allow", matches.map(([method]) => method).join(", "));
+        throw new HttpError(405, `${req.method} is not allowed on ${pathname}.`);
+      }
+
+      const [method, pattern, handler] = route;
+      const params = pattern.exec(pathname).slice(1).map(decodePathParam);
+      const body = method === "GET" || method === "DELETE" ? {} : await readJsonBody(req, res);
+
+      // aborted if the client goes away before we answer
+      const controller = new AbortController();
+      res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
+      const result = await handler({
+        classList,
+        params,
+        query: url.searchParams,
+        body,
+        signal: controller.signal,
+      });
+      if (method !== "GET") onChange();
+
+      if (result.status === 204) {
+        res.writeHead(204);
+        res.end();
+      } else {
+        sendJson(res, result.status, result.body);
+      }
+    } catch (err) {
+      const status = errorStatus(err);
+      if (status === 500) console.error(err);
+
+      const error = { status, message: status === 500 ? "Internal server error." : err.message };
+      if (err.details) error.details = err.details;
+      if (!res.headersSent) sendJson(res, status, { error });
+    }
+  });
+}
+
+// node gradebookServer.js [--port 3000] [--file gradebook.json]
+async function main(argv) {
+  const portIndex = argv.indexOf("--port");
+  const fileIndex = argv.indexOf("--file");
+  const port = portIndex === -1 ? 3000 : Number(argv[portIndex + 1]);
+  const file = fileIndex === -1 ? "gradebook.json" : argv[fileIndex + 1];
+
+  const storage = new FileStorageAdapter(path.dirname(path.resolve(file)));
+  const key = path.basename(file, ".json");
+  const classList = (await loadClassList(storage, key, { silent: true })) || new ClassList(null, { silent: true });
+
+  // timers keep changing state after a request finishes, so save on every event too
+  let saving = Promise.resolve();
+  const save = () => {
+    saving = saving
+      .then(() => saveClassList(storage, key, classList))
+      .catch((err) => console.error("Saving the class file failed:", err));
+  };
+  classList.events.subscribe(save);
+
+  createGradebookServer(classList, { onChange: save }).listen(port, () => {
+    console.log(`Gradebook API listening on http://localhost:${port} (class file: ${file})`);
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { HttpError, createGradebookServer };
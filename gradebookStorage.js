@@ -0,0 +1,109 @@
+// gradebookStorage.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ClassList } = require("./assignmentManager");
+
+// A storage adapter keeps snapshots under string keys. Every method is async:
+//   read(key) → snapshot or null, write(key, snapshot), remove(key), list() → keys
+
+// Keeps snapshots in memory (tests, or a single long-running process)
+class MemoryStorageAdapter {
+  constructor() {
+    this._items = new Map();
+  }
+
+  async read(key) {
+    if (!this._items.has(key)) return null;
+    return JSON.parse(this._items.get(key));
+  }
+
+  // stored as text so later changes to the ClassList can't leak into the copy
+  async write(key, snapshot) {
+    this._items.set(key, JSON.stringify(snapshot));
+  }
+
+  async remove(key) {
+    this._items.delete(key);
+  }
+
+  async list() {
+    return [...this._items.keys()].sort();
+  }
+}
+
+// One <key>.json file per snapshot inside `directory`
+class FileStorageAdapter {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  _pathFor(key) {
+    if (!/^[\w.-]+$/.test(key) || key.startsWith(".")) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async read(key) {
+    try {
+      const text = await fs.promises.readFile(this._pathFor(key), "utf8");
+      return JSON.parse(text);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // write to a temp file first so a crash never leaves half a snapshot behind
+  async write(key, snapshot) {
+    const target = this._pathFor(key);
+    const temp = `${target}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(snapshot, null, 2) + "\n");
+    await fs.promises.rename(temp, target);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this._pathFor(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  async list() {
+    try {
+      const files = await fs.promises.readdir(this.directory);
+      return files
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => f.slice(0, -".json".length))
+        .sort();
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+}
+
+// Save the whole roster and gradebook under `key`
+async function saveClassList(storage, key, classList) {
+  await storage.write(key, classList.toSnapshot());
+}
+
+// Load a saved ClassList (null if there's nothing under `key`).
+// `options` go to ClassList.fromSnapshot: observer, clock, events, silent, grader, graders.
+async function loadClassList(storage, key, options = {}) {
+  const snapshot = await storage.read(key);
+  if (!snapshot) return null;
+  return ClassList.fromSnapshot(snapshot, options);
+}
+
+module.exports = {
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  saveClassList,
+  loadClassList,
+};
@@ -0,0 +1,200 @@
+// ====== Prerequisite graph ======
+// Course → prerequisite edges over a loaded catalog: cycle detection, what a
+// student can take next, a semester-by-semester path to a target course and a
+// layered layout for drawing one course's neighbourhood. Works on Course
+// objects (id, semester, prerequisites, getSemesterKey()).
+
+/**
+ * { courses: Map id → course, prerequisites: Map id → [ids], dependents: Map id → [ids],
+ *   missing: [{ courseId, missing }] } — `missing` lists prerequisite IDs not in the catalog.
+ */
+function buildPrerequisiteGraph(courses) {
+    const graph = { courses: new Map(), prerequisites: new Map(), dependents: new Map(), missing: [] };
+
+    courses.forEach(course => {
+        graph.courses.set(course.id, course);
+        graph.dependents.set(course.id, []);
+    });
+    courses.forEach(course => {
+        const prereqs = [...new Set(course.prerequisites || [])];
+        graph.prerequisites.set(course.id, prereqs);
+        prereqs.forEach(id => {
+            if (graph.dependents.has(id)) graph.dependents.get(id).push(course.id);
+            else graph.missing.push({ courseId: course.id, missing: id });
+        });
+    });
+
+    return graph;
+}
+
+/**
+ * Every prerequisite cycle, each as a list of IDs where each needs the next
+ * (the first ID repeated at the end), e.g. ["A", "B", "A"].
+ */
+function findPrerequisiteCycles(graph) {
+    const state = new Map(); // id → "visiting" | "done"
+    const path = [];
+    const cycles = [];
+
+    const visit = (id) => {
+        state.set(id, "visiting");
+        path.push(id);
+
+        (graph.prerequisites.get(id) || []).forEach(prereq => {
+            if (!graph.courses.has(prereq)) return;
+            if (state.get(prereq) === "visiting") {
+                cycles.push(path.slice(path.indexOf(prereq)).concat(prereq));
+            } else if (!state.has(prereq)) {
+                visit(prereq);
+            }
+        });
+
+        path.pop();
+        state.set(id, "done");
+    };
+
+    graph.courses.forEach((course, id) => {
+        if (!state.has(id)) visit(id);
+    });
+    return cycles;
+}
+
+// Every course `id` depends on, directly or not (not including itself)
+function prerequisiteClosure(graph, id) {
+    const seen = new Set();
+    const stack = [...(graph.prerequisites.get(id) || [])];
+
+    while (stack.length > 0) {
+        const next = stack.pop();
+        if (seen.has(next) || next === id) continue;
+        seen.add(next);
+        stack.push(...(graph.prerequisites.get(next) || []));
+    }
+    return seen;
+}
+
+// Courses not yet completed whose prerequisites all are
+function availableCourses(graph, completedIds) {
+    const completed = new Set(completedIds);
+    return [...graph.courses.values()].filter(course =>
+        !completed.has(course.id) &&
+        (graph.prerequisites.get(course.id) || []).every(id => completed.has(id))
+    );
+}
+
+/**
+ * The courses still needed for `targetId` (its prerequisites, transitively,
+ * less anything completed), grouped by the semester each is offered in and
+ * ordered by getSemesterKey(). The path is valid when every prerequisite comes
+ * in an earlier semester than the course needing it.
+ * Returns { ok, semesters: [{ semester, key, courses }], problems: [message] }.
+ */
+function planPathway(graph, targetId, completedIds = []) {
+    const target = graph.courses.get(targetId);
+    if (!target) {
+        return { ok: false, semesters: [], problems: [`${targetId} is not in the loaded catalog.`] };
+    }
+
+    const completed = new Set(completedIds);
+    const problems = [];
+    const neededIds = [...prerequisiteClosure(graph, targetId), targetId].filter(id => !completed.has(id));
+
+    const cycle = findPrerequisiteCycles(graph).find(c => c.some(id => neededIds.includes(id)));
+    if (cycle) problems.push(`Prerequisite cycle: ${cycle.join(" → ")}.`);
+
+    const needed = [];
+    neededIds.forEach(id => {
+        const course = graph.courses.get(id);
+        if (course) needed.push(course);
+        else problems.push(`${id} is required but not in the loaded catalog.`);
+    });
+
+    needed.forEach(course => {
+        (graph.prerequisites.get(course.id) || []).forEach(id => {
+            const prereq = graph.courses.get(id);
+            if (!prereq || completed.has(id)) return;
+            if (prereq.getSemesterKey() >= course.getSemesterKey()) {
+                problems.push(`${id} (${prereq.semester}) is not offered before ${course.id} (${course.semester}).`);
+            }
+        });
+    });
+
+    const bySemester = new Map();
+    needed.forEach(course => {
+        if (!bySemester.has(course.semester)) {
+            bySemester.set(course.semester, { semester: course.semester, key: course.getSemesterKey(), courses: [] });
+        }
+        bySemester.get(course.semester).courses.push(course);
+    });
+    const semesters = [...bySemester.values()].sort((a, b) => a.key - b.key);
+    semesters.forEach(s => s.courses.sort((a, b) => a.id.localeCompare(b.id)));
+
+    return { ok: problems.length === 0, semesters, problems };
+}
+
+/**
+ * Rows for drawing one course's neighbourhood top to bottom: its prerequisites
+ * (transitively, deepest first), the course itself, then the courses it unlocks.
+ * Returns { nodes: [{ id, row, col, role }], edges: [{ from, to }], rows, cols }
+ * where role is "prerequisite", "selected", "dependent" or "missing".
+ */
+function layoutPrerequisiteGraph(graph, courseId) {
+    const ancestors = prerequisiteClosure(graph, courseId);
+    const dependents = (graph.dependents.get(courseId) || []).filter(id => !ancestors.has(id));
+    const inView = new Set([...ancestors, courseId]);
+
+    // height = longest chain of prerequisites above a course (cycles cut short);
+    // it doubles as the row, so courses with no prerequisites are on top
+    const heights = new Map();
+    const heightOf = (id, visiting = new Set()) => {
+        if (heights.has(id)) return heights.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const below = (graph.prerequisites.get(id) || []).filter(p => inView.has(p));
+        const height = below.length === 0 ? 0 : 1 + Math.max(...below.map(p => heightOf(p, visiting)));
+        visiting.delete(id);
+        heights.set(id, height);
+        return height;
+    };
+    const top = heightOf(courseId);
+
+    const rows = [];
+    const place = (id, row, role) => {
+        while (rows.length <= row) rows.push([]);
+        rows[row].push({ id, row, role });
+    };
+    inView.forEach(id => {
+        const role = id === courseId ? "selected" : graph.courses.has(id) ? "prerequisite" : "missing";
+        place(id, heightOf(id), role); // a course always sits below its prerequisites
+    });
+    dependents.forEach(id => place(id, top + 1, "dependent"));
+
+    const nodes = [];
+    rows.forEach(row => {
+        row.sort((a, b) => a.id.localeCompare(b.id));
+        row.forEach((node, col) => nodes.push({ ...node, col }));
+    });
+
+    const shown = new Set(nodes.map(n => n.id));
+    const edges = [];
+    nodes.forEach(node => {
+        (graph.prerequisites.get(node.id) || []).forEach(prereq => {
+            if (shown.has(prereq) && (node.role !== "dependent" || prereq === courseId)) {
+                edges.push({ from: prereq, to: node.id });
+            }
+        });
+    });
+
+    return { nodes, edges, rows: rows.length, cols: Math.max(1, ...rows.map(r => r.length)) };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        buildPrerequisiteGraph,
+        findPrerequisiteCycles,
+        prerequisiteClosure,
+        availableCourses,
+        planPathway,
+        layoutPrerequisiteGraph,
+    };
+}
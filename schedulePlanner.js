@@ -0,0 +1,232 @@
+// ====== Schedule planning ======
+// The checks behind the plan panel: meeting times, time conflicts, credit load
+// per semester, prerequisites / corequisites and full sections. Works on Course
+// objects (anything with id, credits, semester, meetings, prerequisites,
+// corequisites, capacity, enrolled and getSemesterKey()).
+
+// Registrar day codes (R = Thursday, U = Sunday), Monday first
+const DAY_CODES = { M: 0, T: 1, W: 2, R: 3, F: 4, S: 5, U: 6 };
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DEFAULT_MAX_CREDITS = 18;
+
+/**
+ * Day indexes (0 = Monday) from "MWF" / "TR" style codes, or from names
+ * like ["Mon", "Wed"] or "Tue/Thu". Unknown days are skipped.
+ */
+function parseDays(days) {
+    const text = String(days || "");
+    let parts;
+    if (Array.isArray(days)) parts = days;
+    else if (/^[MTWRFSU]+$/.test(text)) parts = text.split("");
+    else parts = text.split(/[\s,/]+/);
+
+    const indexes = parts.map(part => {
+        const name = String(part).trim();
+        if (name.length === 1) return DAY_CODES[name.toUpperCase()];
+        const index = DAY_NAMES.findIndex(d => d.toLowerCase() === name.slice(0, 3).toLowerCase());
+        return index === -1 ? undefined : index;
+    });
+    return [...new Set(indexes.filter(i => i !== undefined))].sort((a, b) => a - b);
+}
+
+// "13:30", "9:05" or "1:30pm" → minutes after midnight (null if unreadable)
+function parseClockTime(text) {
+    const match = /^(\d{1,2}):(\d{2})\s*([ap]m)?$/i.exec(String(text || "").trim());
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const suffix = match[3] && match[3].toLowerCase();
+    if (suffix === "pm" && hours < 12) hours += 12;
+    if (suffix === "am" && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+function formatClockTime(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// One { day, start, end, location } per meeting day; unreadable meetings are left out
+function courseMeetingSlots(course) {
+    const slots = [];
+    (course.meetings || []).forEach(meeting => {
+        const start = parseClockTime(meeting.start);
+        const end = parseClockTime(meeting.end);
+        if (start === null || end === null || end <= start) return;
+
+        parseDays(meeting.days).forEach(day => {
+            slots.push({ day, start, end, location: meeting.location || "" });
+        });
+    });
+    return slots;
+}
+
+// "MWF 09:00–09:50 (ENG 101); R 14:00–16:50"
+function describeMeetings(course) {
+    return (course.meetings || [])
+        .map(m => {
+            const where = m.location ? ` (${m.location})` : "";
+            const days = Array.isArray(m.days) ? m.days.join("/") : m.days;
+            return `${days} ${m.start}–${m.end}${where}`;
+        })
+        .join("; ");
+}
+
+// ====== Checks ======
+
+/**
+ * Pairs of courses in the same semester that meet at overlapping times:
+ * [{ courses: [a, b], semester, overlaps: [{ day, start, end }] }], one entry
+ * per pair with every overlapping window.
+ */
+function findTimeConflicts(courses) {
+    const conflicts = [];
+
+    courses.forEach((a, i) => {
+        courses.slice(i + 1).forEach(b => {
+            if (a.semester !== b.semester) return;
+
+            const overlaps = [];
+            courseMeetingSlots(a).forEach(x => {
+                courseMeetingSlots(b).forEach(y => {
+                    if (x.day !== y.day || x.end <= y.start || y.end <= x.start) return;
+                    overlaps.push({ day: x.day, start: Math.max(x.start, y.start), end: Math.min(x.end, y.end) });
+                });
+            });
+            if (overlaps.length > 0) conflicts.push({ courses: [a, b], semester: a.semester, overlaps });
+        });
+    });
+
+    return conflicts;
+}
+
+// [{ day, start, end }] → "Mon/Wed 09:00–09:50, Thu 14:00–14:50"
+function describeOverlaps(overlaps) {
+    const byWindow = new Map();
+    overlaps.forEach(o => {
+        const span = `${formatClockTime(o.start)}–${formatClockTime(o.end)}`;
+        if (!byWindow.has(span)) byWindow.set(span, []);
+        byWindow.get(span).push(DAY_NAMES[o.day]);
+    });
+    return [...byWindow.entries()].map(([span, days]) => `${days.join("/")} ${span}`).join(", ");
+}
+
+// [{ semester, key, credits, courses }] in semester order (getSemesterKey)
+function creditLoadBySemester(courses) {
+    const bySemester = new Map();
+    courses.forEach(course => {
+        const semester = course.semester || "";
+        if (!bySemester.has(semester)) {
+            bySemester.set(semester, { semester, key: course.getSemesterKey(), credits: 0, courses: [] });
+        }
+        const load = bySemester.get(semester);
+        load.credits += Number(course.credits) || 0;
+        load.courses.push(course);
+    });
+
+    return [...bySemester.values()].sort((a, b) => a.key - b.key);
+}
+
+/**
+ * Requisites the plan doesn't meet. A prerequisite must be completed or
+ * planned for an earlier semester; a corequisite may also share the semester.
+ * Returns [{ course, type: "prerequisite" | "corequisite", missing }].
+ */
+function findRequisiteProblems(courses, completedIds = []) {
+    const completed = new Set(completedIds);
+    const problems = [];
+
+    courses.forEach(course => {
+        const key = course.getSemesterKey();
+        const plannedBefore = (id, allowSame) => courses.some(other => {
+            if (other.id !== id) return false;
+            const otherKey = other.getSemesterKey();
+            return otherKey < key || (allowSame && otherKey === key);
+        });
+
+        (course.prerequisites || []).forEach(id => {
+            if (!completed.has(id) && !plannedBefore(id, false)) {
+                problems.push({ course, type: "prerequisite", missing: id });
+            }
+        });
+        (course.corequisites || []).forEach(id => {
+            if (!completed.has(id) && !plannedBefore(id, true)) {
+                problems.push({ course, type: "corequisite", missing: id });
+            }
+        });
+    });
+
+    return problems;
+}
+
+function isCourseFull(course) {
+    return typeof course.capacity === "number" && typeof course.enrolled === "number" && course.enrolled >= course.capacity;
+}
+
+/**
+ * Every problem with a plan, as { type, message, courseIds }:
+ * "conflict", "credits", "prerequisite", "corequisite" or "full".
+ * options: maxCredits (default 18), completed (IDs of courses already taken)
+ */
+function checkPlan(courses, options = {}) {
+    const maxCredits = options.maxCredits || DEFAULT_MAX_CREDITS;
+    const issues = [];
+
+    findTimeConflicts(courses).forEach(c => {
+        const [a, b] = c.courses;
+        issues.push({
+            type: "conflict",
+            message: `${a.id} and ${b.id} overlap on ${describeOverlaps(c.overlaps)} (${c.semester}).`,
+            courseIds: [a.id, b.id],
+        });
+    });
+
+    creditLoadBySemester(courses).forEach(load => {
+        if (load.credits <= maxCredits) return;
+        issues.push({
+            type: "credits",
+            message: `${load.semester || "No semester"}: ${load.credits} credits is over the ${maxCredits}-credit limit.`,
+            courseIds: load.courses.map(c => c.id),
+        });
+    });
+
+    findRequisiteProblems(courses, options.completed).forEach(p => {
+        issues.push({
+            type: p.type,
+            message: p.type === "prerequisite"
+                ? `${p.course.id} needs ${p.missing} in an earlier semester.`
+                : `${p.course.id} needs ${p.missing} in the same or an earlier semester.`,
+            courseIds: [p.course.id],
+        });
+    });
+
+    courses.filter(isCourseFull).forEach(course => {
+        issues.push({
+            type: "full",
+            message: `${course.id} is full (${course.enrolled}/${course.capacity}).`,
+            courseIds: [course.id],
+        });
+    });
+
+    return issues;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        DAY_NAMES,
+        DEFAULT_MAX_CREDITS,
+        parseDays,
+        parseClockTime,
+        formatClockTime,
+        courseMeetingSlots,
+        describeMeetings,
+        findTimeConflicts,
+        creditLoadBySemester,
+        findRequisiteProblems,
+        isCourseFull,
+        checkPlan,
+    };
+}
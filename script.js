@@ -2,16 +2,61 @@
 let allCourses = [];     // Array<Course>
 let currentCourses = []; // After filters & sort
 let selectedCourse = null;
+let currentQuery = parseCourseQuery(""); // parsed search box (see courseQuery.js)
+let dataSource = null;      // "default" or the URL the data came from; kept in the URL as src
+let pendingUrlState = null; // explorer state to apply once its data source finishes loading
+let typingSearch = false;   // a run of keystrokes in the search box is one history entry
+let plannedCourseIds = [];  // the plan panel, in the order courses were added
+let completedCourseIds = []; // courses the student has already taken
+let prerequisiteGraph = buildPrerequisiteGraph([]); // rebuilt whenever data loads
+let pendingImport = null;   // a file with invalid records, held until the user loads its valid ones
+let catalogHistory = new EditHistory([]); // the loaded records and every edit since (catalogEditor.js)
+let editorState = null;     // the course form open in the details panel: { mode, replaceId, base, texts }
+let favoriteCourseIds = loadFavorites(); // starred courses (catalogStore.js keeps them between visits)
+let courseNotes = loadNotes();           // { course ID: the user's private note }
+let comparedCourseIds = [];              // the comparison panel, up to MAX_COMPARED_COURSES
+let courseIndex = null;     // inverted index over allCourses (courseIndex.js), built when data loads
+let filterWorker = null;    // courseFilterWorker.js, started for the first large catalog
+let catalogVersion = 0;     // bumped per catalog shown, so late worker answers can be told apart
+let filterRequest = 0;      // the latest filter asked of the worker; older answers are dropped
+let searchTimer = null;     // pending (debounced) search while the user types
+let renderedRows = null;    // { first, last } of currentCourses drawn in the list (it is virtualized)
+let listFrame = 0;          // pending requestAnimationFrame of scheduleVisibleCourses
 
 // Cached DOM elements
 const fileInput = document.getElementById("fileInput");
 const loadDefaultBtn = document.getElementById("loadDefaultBtn");
+const urlInput = document.getElementById("urlInput");
+const loadUrlBtn = document.getElementById("loadUrlBtn");
+const mergeCheckbox = document.getElementById("mergeCheckbox");
+const conflictPolicySelect = document.getElementById("conflictPolicy");
 const statusMessage = document.getElementById("statusMessage");
+const importReportElement = document.getElementById("importReport");
+const importSummaryElement = document.getElementById("importSummary");
+const importErrorsElement = document.getElementById("importErrors");
+const loadValidBtn = document.getElementById("loadValidBtn");
+
+const catalogNameInput = document.getElementById("catalogNameInput");
+const saveCatalogBtn = document.getElementById("saveCatalogBtn");
+const savedCatalogSelect = document.getElementById("savedCatalogSelect");
+const openCatalogBtn = document.getElementById("openCatalogBtn");
+const deleteCatalogBtn = document.getElementById("deleteCatalogBtn");
+const clearStorageBtn = document.getElementById("clearStorageBtn");
+
+const newCourseBtn = document.getElementById("newCourseBtn");
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+const showDiffBtn = document.getElementById("showDiffBtn");
+const downloadCatalogBtn = document.getElementById("downloadCatalogBtn");
+const diffViewElement = document.getElementById("diffView");
 
 const departmentFilter = document.getElementById("departmentFilter");
 const levelFilter = document.getElementById("levelFilter");
 const creditsFilter = document.getElementById("creditsFilter");
+const favoritesOnlyCheckbox = document.getElementById("favoritesOnly");
 const searchInput = document.getElementById("searchInput");
+const searchHint = document.getElementById("searchHint");
+const searchHintHtml = searchHint.innerHTML; // syntax help, shown when the query is fine
 const resetFiltersBtn = document.getElementById("resetFiltersBtn");
 
 const sortSelect = document.getElementById("sortSelect");
@@ -19,6 +64,25 @@ const sortSelect = document.getElementById("sortSelect");
 const courseListElement = document.getElementById("courseList");
 const courseDetailsElement = document.getElementById("courseDetails");
 const resultsCountElement = document.getElementById("resultsCount");
+const exportCsvBtn = document.getElementById("exportCsvBtn");
+const exportJsonBtn = document.getElementById("exportJsonBtn");
+
+const planSummaryElement = document.getElementById("planSummary");
+const planListElement = document.getElementById("planList");
+const planIssuesElement = document.getElementById("planIssues");
+const maxCreditsInput = document.getElementById("maxCreditsInput");
+const calendarSemesterSelect = document.getElementById("calendarSemester");
+const weekCalendarElement = document.getElementById("weekCalendar");
+
+const pathwaySummaryElement = document.getElementById("pathwaySummary");
+const cycleWarningsElement = document.getElementById("cycleWarnings");
+const completedListElement = document.getElementById("completedList");
+const availableListElement = document.getElementById("availableList");
+const pathwayTargetSelect = document.getElementById("pathwayTarget");
+const pathwayResultElement = document.getElementById("pathwayResult");
+
+const compareSummaryElement = document.getElementById("compareSummary");
+const compareTableElement = document.getElementById("compareTable");
 
 // ====== Course class definition ======
 class Course {
@@ -31,10 +95,22 @@ class Course {
         this.instructor = raw.instructor;
         this.description = raw.description;
         this.semester = raw.semester; // e.g. "Fall 2025"
+
+        // Optional scheduling fields (checked by schedulePlanner.js)
+        this.meetings = Array.isArray(raw.meetings) ? raw.meetings : []; // [{ days: "MWF", start: "09:00", end: "09:50", location }]
+        this.prerequisites = Array.isArray(raw.prerequisites) ? raw.prerequisites : []; // course IDs
+        this.corequisites = Array.isArray(raw.corequisites) ? raw.corequisites : [];
+        this.capacity = typeof raw.capacity === "number" ? raw.capacity : null;
+        this.enrolled = typeof raw.enrolled === "number" ? raw.enrolled : null;
+    }
+
+    // The user's private note (kept outside the catalog, by course ID)
+    get notes() {
+        return courseNotes[this.id] || "";
     }
 
     /**
-     * Returns a string used for text search (title + description + instructor).
+     * Returns a string used for text search (title + description + instructor + notes).
      */
     get searchableText() {
         return (
@@ -42,31 +118,15 @@ class Course {
             " " +
             (this.description || "") +
             " " +
-            (this.instructor || "")
+            (this.instructor || "") +
+            " " +
+            this.notes
         ).toLowerCase();
     }
 
-    /**
-     * Convert a semester string like "Fall 2025" into a numeric key for sorting.
-     * We want Summer 2025 < Fall 2025 < Winter 2026, etc.
-     */
+    // Numeric key for sorting by semester (see semesterSortKey in courseIndex.js)
     getSemesterKey() {
-        if (!this.semester) return Number.POSITIVE_INFINITY;
-
-        const parts = this.semester.split(" ");
-        if (parts.length !== 2) return Number.POSITIVE_INFINITY;
-
-        const term = parts[0].toLowerCase();
-        const year = parseInt(parts[1], 10);
-
-        let termOrder;
-        // Adjust if your professor defined a specific order.
-        if (term === "winter") termOrder = 1;
-        else if (term === "summer") termOrder = 2;
-        else if (term === "fall") termOrder = 3;
-        else termOrder = 4; // unknown term at end
-
-        return year * 10 + termOrder;
+        return semesterSortKey(this.semester);
     }
 }
 
@@ -83,72 +143,324 @@ function setStatus(message, isError = false) {
 }
 
 // ====== Data Loading ======
-async function loadDefaultCourses() {
+// Files are read with the parsers in courseFormats.js (JSON, NDJSON, CSV).
+// With `merge`, the new records are added to the loaded courses; duplicate IDs
+// are settled by the conflict policy select.
+
+async function loadDefaultCourses(merge = false) {
     try {
         setStatus("Loading default courses.json...");
         const response = await fetch("courses.json");
         if (!response.ok) {
             throw new Error(`HTTP error ${response.status}`);
         }
-        const json = await response.json();
-        handleLoadedData(json, "Default file loaded successfully.");
+        const text = await response.text();
+        const parsed = parseCourseData(text, { fileName: "courses.json" });
+        importBatches([{ ...parsed, file: "courses.json" }], "Default file loaded successfully.", "default", merge);
     } catch (err) {
         console.error(err);
         setStatus("Could not load courses.json. Make sure it is in the same folder and you are using a local server.", true);
     }
 }
 
-function loadCoursesFromFile(file) {
-    if (!file) {
+async function loadCoursesFromUrl(url, merge = false) {
+    if (!url) {
+        setStatus("Enter the URL of a course file.", true);
+        return;
+    }
+
+    try {
+        setStatus(`Loading ${url}...`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}`);
+        }
+        const text = await response.text();
+        const parsed = parseCourseData(text, { fileName: url, mimeType: response.headers.get("Content-Type") || "" });
+        importBatches([{ ...parsed, file: url }], `Loaded data from ${url}.`, url, merge);
+    } catch (err) {
+        console.error(err);
+        setStatus(`Could not load ${url}: ${err.message}`, true);
+    }
+}
+
+function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolve(event.target.result);
+        reader.onerror = () => reject(new Error(`Error reading ${file.name}.`));
+        reader.readAsText(file);
+    });
+}
+
+// Load one or more chosen files (several are merged into one catalog)
+async function loadCoursesFromFiles(files, merge = false) {
+    if (!files || files.length === 0) {
         setStatus("No file selected.", true);
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
+    const batches = [];
+    for (const file of files) {
         try {
-            const text = event.target.result;
-            const json = JSON.parse(text);
-            handleLoadedData(json, `Loaded data from ${file.name}.`);
+            const text = await readFileText(file);
+            batches.push({ ...parseCourseData(text, { fileName: file.name }), file: file.name });
         } catch (err) {
             console.error(err);
-            setStatus("Error parsing JSON file. Please check the format.", true);
+            setStatus(`Error reading ${file.name}: ${err.message}`, true);
+            return;
         }
-    };
-    reader.onerror = () => {
-        setStatus("Error reading file.", true);
-    };
-    reader.readAsText(file);
+    }
+
+    const names = batches.map(b => b.file).join(", ");
+    importBatches(batches, `Loaded data from ${names}.`, null, merge);
+}
+
+/**
+ * Merge parsed files (and, with `merge`, the courses already loaded), then
+ * validate and load them. A merged catalog can't be reloaded from the URL.
+ */
+function importBatches(batches, successMessage, source, merge) {
+    const addToLoaded = merge && allCourses.length > 0;
+    const all = addToLoaded
+        ? [{ records: allCourses.map(courseToRecord), lines: [], file: "loaded courses" }, ...batches]
+        : batches;
+
+    if (all.length === 1) {
+        const only = all[0];
+        handleLoadedData(only.records, successMessage, source, only.lines, only.records.map(() => only.file));
+        return;
+    }
+
+    const merged = mergeCourseRecords(all, conflictPolicySelect.value);
+    let message = addToLoaded ? successMessage.replace(/^Loaded/, "Added") : successMessage;
+    if (merged.conflicts.length > 0) {
+        const kept = conflictPolicySelect.value === "keep-last" ? "the newer" : "the first";
+        const ids = [...new Set(merged.conflicts.map(c => c.id))];
+        message += ` ${ids.length} duplicate ID(s) kept ${kept} copy: ${ids.join(", ")}.`;
+    }
+    handleLoadedData(merged.records, message, null, merged.lines, merged.files);
 }
 
-function handleLoadedData(json, successMessage) {
+// `source` is what the URL can reload the data from ("default" or a URL), or null for local files;
+// `lines` / `files` give the line and file each record came from, for the error report
+function handleLoadedData(json, successMessage, source = null, lines = [], files = []) {
     if (!Array.isArray(json)) {
         setStatus("JSON root is not an array. Expected an array of course objects.", true);
         return;
     }
 
-    // Validate objects (basic check)
-    const missingKeys = ["id", "title", "department", "level", "credits", "instructor", "description", "semester"];
-    const invalid = json.some(obj =>
-        missingKeys.some(key => !(key in obj))
-    );
-    if (invalid) {
-        setStatus("JSON does not contain the expected course fields.", true);
+    // Validate every record against COURSE_SCHEMA (courseSchema.js)
+    const report = validateCourseRecords(json, lines, files);
+    renderImportReport(report);
+    if (report.errors.length > 0) {
+        pendingImport = { report, successMessage, source };
+        setStatus(`${report.invalidCount} of ${json.length} records have errors, so nothing was loaded.`, true);
         return;
     }
 
+    pendingImport = null;
+    loadCourseRecords(report.validRecords, successMessage, source);
+}
+
+// Load the valid records of the file held in pendingImport, skipping the rest
+function loadValidRecords() {
+    if (!pendingImport) return;
+    const { report, successMessage, source } = pendingImport;
+    pendingImport = null;
+
+    loadValidBtn.hidden = true;
+    const skipped = `${report.invalidCount} invalid record${report.invalidCount === 1 ? "" : "s"} skipped`;
+    loadCourseRecords(report.validRecords, `${successMessage} (${skipped}.)`, source);
+}
+
+function loadCourseRecords(records, successMessage, source) {
     // Convert to Course instances
-    allCourses = json.map(obj => new Course(obj));
+    allCourses = records.map(obj => new Course(obj));
+    indexCatalog();
+    catalogHistory = new EditHistory(records);
+    editorState = null;
+    rememberCatalog(records, source);
     setStatus(successMessage, false);
 
     // Initialize filters based on data
     initFilterOptions(allCourses);
+    prerequisiteGraph = buildPrerequisiteGraph(allCourses);
+    initPathwayTargets(allCourses);
 
     // Apply filters + sort and render list
     applyFiltersAndRender();
+    renderPlan();
+    renderPathway();
+    renderComparison();
+    renderEditorToolbar();
+    renderDiff();
+
+    // Restore the view a link or history entry asked for, or record the new data source
+    dataSource = source;
+    if (pendingUrlState) {
+        const state = pendingUrlState;
+        pendingUrlState = null;
+        applyExplorerState(state);
+        syncUrl("replace");
+    } else {
+        syncUrl("push");
+    }
+}
+
+/**
+ * List every problem an import found, by record (with its line) and field.
+ * Hidden when the file was clean.
+ */
+function renderImportReport(report) {
+    importErrorsElement.innerHTML = "";
+    importReportElement.hidden = report.errors.length === 0;
+    if (report.errors.length === 0) return;
+
+    const valid = report.validRecords.length;
+    importSummaryElement.textContent =
+        `${report.errors.length} problem(s) in ${report.invalidCount} record(s); ${valid} record(s) are valid.`;
+
+    report.errors.forEach(error => {
+        const li = document.createElement("li");
+        const where = document.createElement("strong");
+        where.textContent = `Record #${error.index + 1}` +
+            (error.file ? `, ${error.file}` : "") +
+            (error.line ? `, line ${error.line}` : "") +
+            (error.id ? ` (${error.id})` : "");
+        li.appendChild(where);
+        li.appendChild(document.createTextNode(` ${error.field || "record"} ${error.message}`));
+        importErrorsElement.appendChild(li);
+    });
+
+    loadValidBtn.hidden = valid === 0;
+    loadValidBtn.textContent = `Load the ${valid} valid record(s)`;
+}
+
+// ====== Export ======
+function downloadText(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Download the courses currently listed (filtered and sorted) as CSV or JSON
+function exportCurrentCourses(format) {
+    if (currentCourses.length === 0) {
+        setStatus("There are no courses in the list to export.", true);
+        return;
+    }
+
+    if (format === "csv") downloadText(coursesToCsv(currentCourses), "courses.csv", "text/csv");
+    else downloadText(coursesToJson(currentCourses), "courses.json", "application/json");
+    setStatus(`Exported ${currentCourses.length} course(s) as ${format.toUpperCase()}.`);
+}
+
+// ====== URL state ======
+// The whole view lives in the query string so it can be bookmarked or shared, e.g.
+// ?src=default&dept=Computer+Science&level=200&q=algorithms&sort=id&course=CS330
+// Each filter change is a history entry, so back/forward step through them.
+
+const URL_STATE_KEYS = ["src", "dept", "level", "credits", "fav", "q", "sort", "course"];
+
+function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    URL_STATE_KEYS.forEach(key => {
+        state[key] = params.get(key) || "";
+    });
+    return state;
+}
+
+function currentExplorerState() {
+    return {
+        src: dataSource || "",
+        dept: departmentFilter.value,
+        level: levelFilter.value,
+        credits: creditsFilter.value,
+        fav: favoritesOnlyCheckbox.checked ? "1" : "",
+        q: searchInput.value,
+        sort: sortSelect.value === "relevance" ? "" : sortSelect.value,
+        course: selectedCourse ? selectedCourse.id : "",
+    };
+}
+
+// mode: "push" adds a history entry, "replace" rewrites the current one
+function syncUrl(mode = "push") {
+    const params = new URLSearchParams();
+    const state = currentExplorerState();
+    savePreferences(state);
+    URL_STATE_KEYS.forEach(key => {
+        if (state[key]) params.set(key, state[key]);
+    });
+
+    const search = params.toString() ? `?${params}` : "";
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (mode === "replace") history.replaceState(null, "", url);
+    else history.pushState(null, "", url);
+}
+
+// Set the controls (and selected course) from a state object and re-render
+function applyExplorerState(state) {
+    departmentFilter.value = state.dept;
+    levelFilter.value = state.level;
+    creditsFilter.value = state.credits;
+    favoritesOnlyCheckbox.checked = state.fav === "1";
+    searchInput.value = state.q;
+    sortSelect.value = state.sort || "relevance";
+    selectedCourse = state.course ? allCourses.find(c => c.id === state.course) || null : null;
+    applyFiltersAndRender();
+}
+
+// Show what the URL describes, loading its data source first if needed.
+// An edited catalog is never swapped for its source: going back or forward
+// past the first edit only restores the filters and selection.
+function restoreStateFromUrl() {
+    const state = readStateFromUrl();
+    const edited = catalogHistory.canUndo || catalogHistory.canRedo;
+
+    if (state.src && state.src !== dataSource && edited) {
+        applyExplorerState(state);
+        syncUrl("replace"); // the entry now describes the edited catalog (no src)
+    } else if (state.src && state.src !== dataSource) {
+        pendingUrlState = state;
+        if (state.src === "default") loadDefaultCourses();
+        else loadCoursesFromUrl(state.src);
+    } else if (allCourses.length > 0) {
+        applyExplorerState(state);
+    }
+}
+
+// Filter for what has been typed in the search box (once typing pauses)
+function runSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    applyFiltersAndRender();
+    // the first search adds a history entry, the rest of the word updates it
+    syncUrl(typingSearch ? "replace" : "push");
+    typingSearch = true;
+}
+
+// Re-render after a control changed and record it in the URL
+function onFiltersChanged() {
+    clearTimeout(searchTimer); // the search box is included below
+    searchTimer = null;
+    typingSearch = false;
+    applyFiltersAndRender();
+    syncUrl("push");
 }
 
 // ====== Filters & sort ======
+const SEARCH_DEBOUNCE_MS = 150;    // typing pause before the search box filters
+const WORKER_MIN_COURSES = 5000;   // smaller catalogs filter fast enough on the page
+
 function initFilterOptions(courses) {
     // Department options (deduplicated)
     const departments = [...new Set(courses.map(c => c.department))].sort();
@@ -170,6 +482,13 @@ function initFilterOptions(courses) {
         creditsFilter.appendChild(opt);
     });
 
+    // Remember the plain labels; updateFacetCounts appends counts to them
+    [departmentFilter, creditsFilter].forEach(select => {
+        Array.from(select.options).forEach(opt => {
+            opt.dataset.label = opt.textContent;
+        });
+    });
+
     // Reset text search + level filter
     searchInput.value = "";
     levelFilter.value = "";
@@ -183,49 +502,148 @@ function applyFiltersAndRender() {
         return;
     }
 
-    const deptVal = departmentFilter.value;
-    const levelVal = levelFilter.value;
-    const creditsVal = creditsFilter.value;
-    const searchVal = searchInput.value.trim().toLowerCase();
-
-    // Filter using Array.filter (required in rubric)
-    let filtered = allCourses.filter(course => {
-        // Department
-        if (deptVal && course.department !== deptVal) return false;
-        // Level (e.g. 100, 200)
-        if (levelVal && String(course.level) !== levelVal) return false;
-        // Credits
-        if (creditsVal && String(course.credits) !== creditsVal) return false;
-        // Text search
-        if (searchVal && !course.searchableText.includes(searchVal)) return false;
-
-        return true;
-    });
-
-    // Sort using Array.sort
-    const sortMode = sortSelect.value;
-    filtered.sort((a, b) => {
-        if (sortMode === "title-asc") {
-            return a.title.localeCompare(b.title);
-        } else if (sortMode === "title-desc") {
-            return b.title.localeCompare(a.title);
-        } else if (sortMode === "id") {
-            return a.id.localeCompare(b.id);
-        } else if (sortMode === "semester") {
-            return a.getSemesterKey() - b.getSemesterKey();
-        }
-        return 0;
-    });
+    currentQuery = parseCourseQuery(searchInput.value);
+    showQueryErrors(currentQuery.errors);
+
+    // Favorites, search query and selects, then the sort (filterCourses in courseIndex.js)
+    const options = {
+        dept: departmentFilter.value,
+        level: levelFilter.value,
+        credits: creditsFilter.value,
+        favoriteIds: favoritesOnlyCheckbox.checked ? new Set(favoriteCourseIds) : null,
+        notedIds: Object.keys(courseNotes),
+        sort: sortSelect.value,
+    };
 
-    currentCourses = filtered;
+    if (usingFilterWorker()) {
+        filterRequest++;
+        filterWorker.postMessage({
+            type: "filter",
+            version: catalogVersion,
+            request: filterRequest,
+            options: { ...options, q: searchInput.value },
+        });
+        return; // shown by showFilterResult when the worker answers
+    }
+
+    if (!courseIndex) courseIndex = buildCourseIndex(allCourses);
+    showFilterResult(filterCourses(courseIndex, { ...options, query: currentQuery }));
+}
+
+function showFilterResult(result) {
+    updateFacetCounts(result.departmentCounts, result.creditsCounts);
+    currentCourses = result.positions.map(position => allCourses[position]);
     renderCourseList();
 }
 
+/**
+ * Index a newly shown catalog: here for small catalogs, in courseFilterWorker.js
+ * for large ones (the page's own index is then only built if the worker fails).
+ */
+function indexCatalog() {
+    catalogVersion++;
+    courseIndex = null;
+
+    if (allCourses.length >= WORKER_MIN_COURSES && startFilterWorker()) {
+        filterWorker.postMessage({ type: "load", version: catalogVersion, courses: allCourses, notes: courseNotes });
+    } else {
+        courseIndex = buildCourseIndex(allCourses);
+    }
+}
+
+function usingFilterWorker() {
+    return filterWorker !== null && allCourses.length >= WORKER_MIN_COURSES;
+}
+
+// Start the worker if this browser can run one; false if not (e.g. the page opened from file://)
+function startFilterWorker() {
+    if (filterWorker) return true;
+    if (typeof Worker === "undefined") return false;
+
+    try {
+        filterWorker = new Worker("courseFilterWorker.js");
+    } catch (err) {
+        return false;
+    }
+    filterWorker.addEventListener("message", (event) => {
+        const result = event.data;
+        // only the answer to the latest request, for the catalog still shown
+        if (result.version === catalogVersion && result.request === filterRequest) showFilterResult(result);
+    });
+    filterWorker.addEventListener("error", (event) => {
+        console.error("Filter worker failed:", event.message);
+        filterWorker.terminate();
+        filterWorker = null;
+        applyFiltersAndRender(); // on the page from now on
+    });
+    return true;
+}
+
+function showQueryErrors(errors) {
+    searchHint.classList.toggle("search-hint--error", errors.length > 0);
+    if (errors.length > 0) {
+        searchHint.textContent = errors.join(" ");
+    } else {
+        searchHint.innerHTML = searchHintHtml;
+    }
+}
+
+/**
+ * Append live counts to the department and credits options, e.g. "Art (4)".
+ * Options that would match nothing are disabled (unless currently selected).
+ * Each facet counts what its options would match under all the *other* filters.
+ */
+function updateFacetCounts(departmentCounts, creditsCounts) {
+    setFacetCounts(departmentFilter, departmentCounts);
+    setFacetCounts(creditsFilter, creditsCounts);
+}
+
+// facet: { counts: Map option value → courses, total } (see filterCourses)
+function setFacetCounts(select, facet) {
+    Array.from(select.options).forEach(opt => {
+        const count = opt.value === "" ? facet.total : facet.counts.get(opt.value) || 0;
+        opt.textContent = `${opt.dataset.label || opt.textContent} (${count})`;
+        opt.disabled = count === 0 && opt.value !== select.value;
+    });
+}
+
 // ====== Rendering ======
+const COURSE_ROW_HEIGHT = 56;  // px, the fixed height of .course-item in styles.css
+const COURSE_ROW_OVERSCAN = 8; // rows drawn above and below the visible ones
+
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? "" : text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Append `text` to an element, wrapping the search terms that matched `field` in <mark>
+function appendHighlighted(element, text, field) {
+    splitHighlights(text, highlightTermsFor(currentQuery, field)).forEach(segment => {
+        if (segment.match) {
+            const mark = document.createElement("mark");
+            mark.textContent = segment.text;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(segment.text));
+        }
+    });
+}
+
+// Same as appendHighlighted, as an HTML string (escaped)
+function highlightHtml(text, field) {
+    return splitHighlights(text, highlightTermsFor(currentQuery, field))
+        .map(segment => (segment.match ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text)))
+        .join("");
+}
+
 function renderCourseList() {
-    courseListElement.innerHTML = "";
+    renderedRows = null;
 
     if (currentCourses.length === 0) {
+        courseListElement.innerHTML = "";
         resultsCountElement.textContent = "0 courses (no matches for current filters)";
         const li = document.createElement("li");
         li.textContent = "No courses match the selected filters.";
@@ -236,29 +654,7 @@ function renderCourseList() {
     }
 
     resultsCountElement.textContent = `${currentCourses.length} course(s)`;
-
-    currentCourses.forEach(course => {
-        const li = document.createElement("li");
-        li.className = "course-item";
-
-        const titleEl = document.createElement("div");
-        titleEl.className = "course-item__title";
-        titleEl.textContent = `${course.id} – ${course.title}`;
-
-        const metaEl = document.createElement("div");
-        metaEl.className = "course-item__meta";
-        metaEl.textContent = `${course.department} | Level ${course.level} | ${course.credits} credit(s) | ${course.semester}`;
-
-        li.appendChild(titleEl);
-        li.appendChild(metaEl);
-
-        li.addEventListener("click", () => {
-            selectedCourse = course;
-            renderCourseDetails();
-        });
-
-        courseListElement.appendChild(li);
-    });
+    renderVisibleCourses();
 
     // If we just loaded data, auto-select the first course
     if (!selectedCourse && currentCourses.length > 0) {
@@ -276,62 +672,1031 @@ function renderCourseList() {
     }
 }
 
+/**
+ * Draw only the rows in (or near) view. Spacers above and below take the
+ * height of the rows left out, so the list scrolls as if every course were
+ * there; scrolling draws the next rows (see scheduleVisibleCourses).
+ */
+function renderVisibleCourses() {
+    const viewHeight = courseListElement.clientHeight || COURSE_ROW_HEIGHT * 20; // 0 before layout
+    const maxScroll = Math.max(0, currentCourses.length * COURSE_ROW_HEIGHT - viewHeight);
+    const scrollTop = Math.min(courseListElement.scrollTop || 0, maxScroll); // the list may have got shorter
+    const first = Math.max(0, Math.floor(scrollTop / COURSE_ROW_HEIGHT) - COURSE_ROW_OVERSCAN);
+    const last = Math.min(
+        currentCourses.length,
+        Math.ceil((scrollTop + viewHeight) / COURSE_ROW_HEIGHT) + COURSE_ROW_OVERSCAN
+    );
+    if (renderedRows && renderedRows.first === first && renderedRows.last === last) return;
+    renderedRows = { first, last };
+
+    courseListElement.innerHTML = "";
+    if (first > 0) courseListElement.appendChild(listSpacer(first));
+    for (let i = first; i < last; i++) {
+        courseListElement.appendChild(courseListItem(currentCourses[i], i));
+    }
+    if (last < currentCourses.length) courseListElement.appendChild(listSpacer(currentCourses.length - last));
+    courseListElement.scrollTop = scrollTop;
+}
+
+function listSpacer(rows) {
+    const li = document.createElement("li");
+    li.className = "course-list__spacer";
+    li.setAttribute("aria-hidden", "true");
+    li.style.height = `${rows * COURSE_ROW_HEIGHT}px`;
+    return li;
+}
+
+// Redraw the visible rows at most once per frame while the list scrolls or resizes
+function scheduleVisibleCourses() {
+    if (listFrame) return;
+    listFrame = requestAnimationFrame(() => {
+        listFrame = 0;
+        if (currentCourses.length > 0) renderVisibleCourses();
+    });
+}
+
+// One row of the list; clicks are handled once for the whole list (setupEventListeners)
+function courseListItem(course, index) {
+    const li = document.createElement("li");
+    li.className = "course-item";
+    li.dataset.index = String(index); // in currentCourses
+
+    const titleEl = document.createElement("div");
+    titleEl.className = "course-item__title";
+    appendHighlighted(titleEl, course.id, "id");
+    titleEl.appendChild(document.createTextNode(" – "));
+    appendHighlighted(titleEl, course.title, "title");
+
+    const metaEl = document.createElement("div");
+    metaEl.className = "course-item__meta";
+    appendHighlighted(metaEl, course.department, "department");
+    metaEl.appendChild(document.createTextNode(` | Level ${course.level} | ${course.credits} credit(s) | `));
+    appendHighlighted(metaEl, course.semester, "semester");
+
+    const favorite = favoriteCourseIds.includes(course.id);
+    const star = document.createElement("button");
+    star.type = "button";
+    star.className = "course-item__star";
+    star.textContent = favorite ? "★" : "☆";
+    star.title = favorite ? "Remove from favorites" : "Add to favorites";
+    star.setAttribute("aria-pressed", String(favorite));
+
+    li.appendChild(star);
+    li.appendChild(titleEl);
+    li.appendChild(metaEl);
+    return li;
+}
+
 function renderCourseDetails() {
+    if (editorState) {
+        renderCourseEditor();
+        return;
+    }
     if (!selectedCourse) {
         courseDetailsElement.innerHTML = "<p>No course selected.</p>";
         return;
     }
 
     const c = selectedCourse;
+    const planned = plannedCourseIds.includes(c.id);
+    const completed = completedCourseIds.includes(c.id);
+    const favorite = favoriteCourseIds.includes(c.id);
+    const compared = comparedCourseIds.includes(c.id);
+
+    // Scheduling rows only for the fields this course has
+    const scheduleRows = [
+        c.meetings.length > 0 ? ["Meets", describeMeetings(c)] : null,
+        c.prerequisites.length > 0 ? ["Prerequisites", c.prerequisites.join(", ")] : null,
+        c.corequisites.length > 0 ? ["Corequisites", c.corequisites.join(", ")] : null,
+        c.capacity !== null
+            ? ["Capacity", c.enrolled !== null ? `${c.enrolled} / ${c.capacity} enrolled` : String(c.capacity)]
+            : null,
+    ]
+        .filter(Boolean)
+        .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join("");
 
     courseDetailsElement.innerHTML = `
-        <h3>${c.id} – ${c.title}</h3>
+        <h3>${highlightHtml(c.id, "id")} – ${highlightHtml(c.title, "title")}</h3>
         <dl>
             <dt>Department</dt>
-            <dd>${c.department}</dd>
+            <dd>${highlightHtml(c.department, "department")}</dd>
             <dt>Level</dt>
-            <dd>${c.level}</dd>
+            <dd>${escapeHtml(c.level)}</dd>
             <dt>Credits</dt>
-            <dd>${c.credits}</dd>
+            <dd>${escapeHtml(c.credits)}</dd>
             <dt>Instructor</dt>
-            <dd>${c.instructor}</dd>
+            <dd>${highlightHtml(c.instructor, "instructor")}</dd>
             <dt>Semester</dt>
-            <dd>${c.semester}</dd>
+            <dd>${highlightHtml(c.semester, "semester")}</dd>
+            ${scheduleRows}
         </dl>
-        <p>${c.description}</p>
+        <p>${highlightHtml(c.description, "description")}</p>
+        <div class="course-actions">
+            <button type="button" class="favorite-toggle" aria-pressed="${favorite}">
+                ${favorite ? "★ Favorite" : "☆ Add to favorites"}
+            </button>
+            <button type="button" class="compare-toggle">${compared ? "Remove from comparison" : "Compare"}</button>
+        </div>
+        <label class="course-notes">
+            My notes (private, included in search)
+            <textarea rows="3" placeholder="e.g. ask about the lab section">${escapeHtml(c.notes)}</textarea>
+        </label>
+        <button type="button" class="plan-toggle">${planned ? "Remove from plan" : "Add to plan"}</button>
+        <label class="completed-toggle">
+            <input type="checkbox" ${completed ? "checked" : ""}> I've completed this course
+        </label>
+        <h4>Prerequisite graph</h4>
+        <div class="prereq-graph">${prerequisiteGraphSvg(c.id)}</div>
+        <button type="button" class="pathway-toggle">Show path to ${escapeHtml(c.id)}</button>
+        <div class="course-actions">
+            <button type="button" class="edit-course">Edit</button>
+            <button type="button" class="duplicate-course">Duplicate</button>
+            <button type="button" class="delete-course">Delete</button>
+        </div>
     `;
+
+    courseDetailsElement.querySelector(".plan-toggle").addEventListener("click", () => {
+        togglePlanned(c.id);
+    });
+    courseDetailsElement.querySelector(".completed-toggle input").addEventListener("change", () => {
+        toggleCompleted(c.id);
+    });
+    courseDetailsElement.querySelector(".favorite-toggle").addEventListener("click", () => {
+        toggleFavorite(c.id);
+    });
+    courseDetailsElement.querySelector(".compare-toggle").addEventListener("click", () => {
+        toggleCompared(c.id);
+    });
+    const notesInput = courseDetailsElement.querySelector(".course-notes textarea");
+    notesInput.addEventListener("input", () => setCourseNote(c.id, notesInput.value));
+    notesInput.addEventListener("change", () => {
+        // the note may now match (or stop matching) the search
+        if (searchInput.value.trim()) applyFiltersAndRender();
+    });
+    courseDetailsElement.querySelector(".pathway-toggle").addEventListener("click", () => {
+        pathwayTargetSelect.value = c.id;
+        renderPathway();
+    });
+    courseDetailsElement.querySelector(".prereq-graph").addEventListener("click", (event) => {
+        const node = event.target.closest("[data-course-id]");
+        if (node) selectCourseById(node.dataset.courseId);
+    });
+    courseDetailsElement.querySelector(".edit-course").addEventListener("click", () => openCourseEditor(c.id));
+    courseDetailsElement.querySelector(".duplicate-course").addEventListener("click", () => duplicateCourse(c.id));
+    courseDetailsElement.querySelector(".delete-course").addEventListener("click", () => deleteCourse(c.id));
+}
+
+// Show a course from anywhere (graph nodes, pathway lists), even if filtered out of the list
+function selectCourseById(courseId) {
+    const course = allCourses.find(c => c.id === courseId);
+    if (!course) return;
+    selectedCourse = course;
+    editorState = null;
+    renderCourseDetails();
+    syncUrl("push");
+}
+
+// ====== Plan ======
+const CALENDAR_HOUR_PX = 40; // matches the hour lines in .week-calendar__body
+
+function plannedCourses() {
+    return plannedCourseIds
+        .map(id => allCourses.find(c => c.id === id))
+        .filter(Boolean);
+}
+
+function togglePlanned(courseId) {
+    if (plannedCourseIds.includes(courseId)) {
+        plannedCourseIds = plannedCourseIds.filter(id => id !== courseId);
+    } else {
+        plannedCourseIds.push(courseId);
+    }
+    renderPlan();
+    renderCourseDetails();
+}
+
+function renderPlan() {
+    const courses = plannedCourses();
+    const maxCredits = Number(maxCreditsInput.value) || DEFAULT_MAX_CREDITS;
+    const issues = checkPlan(courses, { maxCredits, completed: completedCourseIds });
+    const loads = creditLoadBySemester(courses);
+    const problemIds = new Set(issues.flatMap(issue => issue.courseIds));
+
+    const totalCredits = loads.reduce((sum, load) => sum + load.credits, 0);
+    planSummaryElement.textContent = courses.length === 0
+        ? "No courses planned"
+        : `${courses.length} course(s), ${totalCredits} credit(s)`;
+
+    // Courses grouped by semester, in semester order
+    planListElement.innerHTML = "";
+    if (courses.length === 0) {
+        const li = document.createElement("li");
+        li.className = "hint";
+        li.textContent = "Use \"Add to plan\" in the course details to build a schedule.";
+        planListElement.appendChild(li);
+    }
+    loads.forEach(load => {
+        const heading = document.createElement("li");
+        heading.className = "plan-semester";
+        heading.classList.toggle("plan-semester--over", load.credits > maxCredits);
+        heading.textContent = `${load.semester || "No semester"} – ${load.credits} credit(s)`;
+        planListElement.appendChild(heading);
+
+        load.courses.forEach(course => {
+            const li = document.createElement("li");
+            li.className = "plan-item";
+            li.classList.toggle("plan-item--problem", problemIds.has(course.id));
+
+            const label = document.createElement("span");
+            label.textContent = `${course.id} – ${course.title} (${course.credits} cr)`;
+
+            const removeBtn = document.createElement("button");
+            removeBtn.type = "button";
+            removeBtn.textContent = "Remove";
+            removeBtn.addEventListener("click", () => togglePlanned(course.id));
+
+            li.appendChild(label);
+            li.appendChild(removeBtn);
+            planListElement.appendChild(li);
+        });
+    });
+
+    planIssuesElement.innerHTML = "";
+    if (courses.length > 0 && issues.length === 0) {
+        issues.push({ type: "none", message: "No conflicts, overloads or missing requisites." });
+    }
+    issues.forEach(issue => {
+        const li = document.createElement("li");
+        li.className = `plan-issue--${issue.type}`;
+        li.textContent = issue.message;
+        planIssuesElement.appendChild(li);
+    });
+
+    // Week view: keep the chosen semester if it's still planned
+    const previous = calendarSemesterSelect.value;
+    calendarSemesterSelect.innerHTML = "";
+    loads.forEach(load => {
+        const opt = document.createElement("option");
+        opt.value = load.semester;
+        opt.textContent = load.semester || "No semester";
+        calendarSemesterSelect.appendChild(opt);
+    });
+    if (loads.some(load => load.semester === previous)) {
+        calendarSemesterSelect.value = previous;
+    }
+
+    const semester = loads.length > 0 ? calendarSemesterSelect.value : null;
+    renderWeekCalendar(courses.filter(c => c.semester === semester));
+}
+
+/**
+ * Draw one semester's meetings as a Monday–Friday grid (weekend columns only
+ * when something meets then), at least 8:00–18:00.
+ */
+function renderWeekCalendar(courses) {
+    weekCalendarElement.innerHTML = "";
+
+    const blocks = courses.flatMap(course =>
+        courseMeetingSlots(course).map(slot => ({ course, ...slot }))
+    );
+    if (blocks.length === 0) {
+        const p = document.createElement("p");
+        p.className = "hint";
+        p.textContent = courses.length === 0 ? "Nothing planned for this semester." : "No meeting times to show.";
+        weekCalendarElement.appendChild(p);
+        return;
+    }
+
+    const conflicts = findTimeConflicts(courses);
+    const conflictAt = (block) => conflicts.some(c =>
+        c.courses.includes(block.course) &&
+        c.overlaps.some(o => o.day === block.day && o.start < block.end && block.start < o.end)
+    );
+
+    const firstHour = Math.min(8, ...blocks.map(b => Math.floor(b.start / 60)));
+    const lastHour = Math.max(18, ...blocks.map(b => Math.ceil(b.end / 60)));
+    const height = (lastHour - firstHour) * CALENDAR_HOUR_PX;
+    const days = [0, 1, 2, 3, 4].concat([5, 6].filter(day => blocks.some(b => b.day === day)));
+
+    const column = (className, title) => {
+        const col = document.createElement("div");
+        col.className = `week-calendar__column ${className}`;
+        const header = document.createElement("div");
+        header.className = "week-calendar__header";
+        header.textContent = title;
+        const body = document.createElement("div");
+        body.className = "week-calendar__body";
+        body.style.height = `${height}px`;
+        col.appendChild(header);
+        col.appendChild(body);
+        weekCalendarElement.appendChild(col);
+        return body;
+    };
+
+    const times = column("week-calendar__times", "");
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        const label = document.createElement("div");
+        label.className = "week-calendar__hour";
+        label.style.top = `${(hour - firstHour) * CALENDAR_HOUR_PX}px`;
+        label.textContent = formatClockTime(hour * 60);
+        times.appendChild(label);
+    }
+
+    days.forEach(day => {
+        const body = column("", DAY_NAMES[day]);
+        blocks.filter(b => b.day === day).forEach(block => {
+            const el = document.createElement("div");
+            el.className = "week-calendar__block";
+            el.classList.toggle("week-calendar__block--conflict", conflictAt(block));
+            el.style.top = `${((block.start - firstHour * 60) / 60) * CALENDAR_HOUR_PX}px`;
+            el.style.height = `${((block.end - block.start) / 60) * CALENDAR_HOUR_PX}px`;
+            el.title = `${block.course.id} ${formatClockTime(block.start)}–${formatClockTime(block.end)} ${block.location}`;
+            el.textContent = `${block.course.id}${block.location ? ` · ${block.location}` : ""}`;
+            body.appendChild(el);
+        });
+    });
+}
+
+// ====== Prerequisites & pathway ======
+const GRAPH_NODE = { width: 76, height: 24, gapX: 12, gapY: 30 };
+
+function toggleCompleted(courseId) {
+    if (completedCourseIds.includes(courseId)) {
+        completedCourseIds = completedCourseIds.filter(id => id !== courseId);
+    } else {
+        completedCourseIds.push(courseId);
+    }
+    renderPathway();
+    renderPlan();
+    renderCourseDetails();
+}
+
+// completed / available (every prerequisite completed) / locked
+function prerequisiteStatus(courseId) {
+    if (completedCourseIds.includes(courseId)) return "completed";
+    const prereqs = prerequisiteGraph.prerequisites.get(courseId) || [];
+    return prereqs.every(id => completedCourseIds.includes(id)) ? "available" : "locked";
+}
+
+/**
+ * SVG of a course's prerequisites (top, deepest first), the course and what
+ * it unlocks (bottom). Nodes carry data-course-id so clicks can select them.
+ */
+function prerequisiteGraphSvg(courseId) {
+    const layout = layoutPrerequisiteGraph(prerequisiteGraph, courseId);
+    if (layout.nodes.length === 1) {
+        return '<p class="hint">No prerequisites, and nothing requires this course.</p>';
+    }
+
+    const { width: w, height: h, gapX, gapY } = GRAPH_NODE;
+    const rowWidths = [];
+    layout.nodes.forEach(n => {
+        rowWidths[n.row] = (rowWidths[n.row] || 0) + 1;
+    });
+    const totalWidth = layout.cols * (w + gapX) - gapX;
+    const positions = new Map();
+    layout.nodes.forEach(n => {
+        const rowWidth = rowWidths[n.row] * (w + gapX) - gapX;
+        positions.set(n.id, {
+            x: (totalWidth - rowWidth) / 2 + n.col * (w + gapX),
+            y: n.row * (h + gapY),
+        });
+    });
+
+    const edges = layout.edges.map(e => {
+        const from = positions.get(e.from);
+        const to = positions.get(e.to);
+        return `<line class="prereq-edge" x1="${from.x + w / 2}" y1="${from.y + h}" x2="${to.x + w / 2}" y2="${to.y - 2}"></line>`;
+    });
+
+    const nodes = layout.nodes.map(n => {
+        const { x, y } = positions.get(n.id);
+        const status = n.role === "missing" ? "missing" : prerequisiteStatus(n.id);
+        const classes = `prereq-node prereq-node--${status}${n.role === "selected" ? " prereq-node--selected" : ""}`;
+        const title = n.role === "missing" ? `${n.id} (not in the loaded data)` : `${n.id}: ${status}`;
+        return `<g class="${classes}" data-course-id="${escapeHtml(n.id)}">` +
+            `<title>${escapeHtml(title)}</title>` +
+            `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="4"></rect>` +
+            `<text x="${x + w / 2}" y="${y + h / 2}">${escapeHtml(n.id)}</text></g>`;
+    });
+
+    const height = layout.rows * (h + gapY) - gapY;
+    return `<svg width="${totalWidth}" height="${height + 2}" role="img" aria-label="Prerequisite graph for ${escapeHtml(courseId)}">` +
+        '<defs><marker id="prereq-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">' +
+        '<path d="M 0 0 L 10 5 L 0 10 z" fill="#78909c"></path></marker></defs>' +
+        edges.join("") + nodes.join("") + "</svg>";
+}
+
+function initPathwayTargets(courses) {
+    pathwayTargetSelect.innerHTML = '<option value="">Choose a course</option>';
+    courses
+        .slice()
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .forEach(course => {
+            const opt = document.createElement("option");
+            opt.value = course.id;
+            opt.textContent = `${course.id} – ${course.title}`;
+            pathwayTargetSelect.appendChild(opt);
+        });
+}
+
+// A row of course-ID buttons that open the course's details
+function renderCourseTags(listElement, courseIds, emptyText) {
+    listElement.innerHTML = "";
+    if (courseIds.length === 0) {
+        const li = document.createElement("li");
+        li.className = "hint";
+        li.textContent = emptyText;
+        listElement.appendChild(li);
+        return;
+    }
+    courseIds.forEach(id => {
+        const li = document.createElement("li");
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = id;
+        button.addEventListener("click", () => selectCourseById(id));
+        li.appendChild(button);
+        listElement.appendChild(li);
+    });
+}
+
+function renderPathway() {
+    const available = availableCourses(prerequisiteGraph, completedCourseIds);
+    pathwaySummaryElement.textContent = completedCourseIds.length === 0
+        ? "No courses completed"
+        : `${completedCourseIds.length} completed, ${available.length} available`;
+
+    // Cycles make some courses impossible to take; say so up front
+    cycleWarningsElement.innerHTML = "";
+    findPrerequisiteCycles(prerequisiteGraph).forEach(cycle => {
+        const li = document.createElement("li");
+        li.textContent = `Prerequisite cycle in the loaded data: ${cycle.join(" → ")}`;
+        cycleWarningsElement.appendChild(li);
+    });
+
+    renderCourseTags(completedListElement, completedCourseIds, "None yet.");
+    renderCourseTags(
+        availableListElement,
+        available.map(c => c.id).sort(),
+        allCourses.length === 0 ? "Load course data first." : "Nothing is available yet."
+    );
+
+    pathwayResultElement.innerHTML = "";
+    const targetId = pathwayTargetSelect.value;
+    if (!targetId) return;
+
+    const path = planPathway(prerequisiteGraph, targetId, completedCourseIds);
+    path.problems.forEach(problem => {
+        const li = document.createElement("li");
+        li.className = "status-message--error";
+        li.textContent = problem;
+        pathwayResultElement.appendChild(li);
+    });
+    if (path.semesters.length === 0 && path.problems.length === 0) {
+        const li = document.createElement("li");
+        li.textContent = `${targetId} is already completed.`;
+        pathwayResultElement.appendChild(li);
+    }
+    path.semesters.forEach(step => {
+        const li = document.createElement("li");
+        li.textContent = `${step.semester || "No semester"}: ${step.courses.map(c => c.id).join(", ")}`;
+        pathwayResultElement.appendChild(li);
+    });
+}
+
+// ====== Favorites, comparison & notes ======
+const MAX_COMPARED_COURSES = 4;
+
+// Rows of the comparison table; a row is highlighted when the courses differ in it
+const COMPARE_FIELDS = [
+    { key: "credits", label: "Credits" },
+    { key: "level", label: "Level" },
+    { key: "instructor", label: "Instructor" },
+    { key: "semester", label: "Semester" },
+    { key: "description", label: "Description" },
+];
+
+function toggleFavorite(courseId) {
+    if (favoriteCourseIds.includes(courseId)) {
+        favoriteCourseIds = favoriteCourseIds.filter(id => id !== courseId);
+    } else {
+        favoriteCourseIds.push(courseId);
+    }
+    saveFavorites(favoriteCourseIds);
+    applyFiltersAndRender();
+}
+
+function setCourseNote(courseId, text) {
+    if (text.trim()) courseNotes[courseId] = text;
+    else delete courseNotes[courseId];
+    saveNotes(courseNotes);
+    if (filterWorker) filterWorker.postMessage({ type: "notes", notes: courseNotes });
+}
+
+function comparedCourses() {
+    return comparedCourseIds
+        .map(id => allCourses.find(c => c.id === id))
+        .filter(Boolean);
+}
+
+function toggleCompared(courseId) {
+    if (comparedCourseIds.includes(courseId)) {
+        comparedCourseIds = comparedCourseIds.filter(id => id !== courseId);
+    } else if (comparedCourseIds.length >= MAX_COMPARED_COURSES) {
+        setStatus(`You can compare up to ${MAX_COMPARED_COURSES} courses. Remove one first.`, true);
+        return;
+    } else {
+        comparedCourseIds.push(courseId);
+    }
+    renderComparison();
+    renderCourseDetails();
+}
+
+function compareValueText(value) {
+    return value === undefined || value === null || value === "" ? "—" : String(value);
+}
+
+function renderComparison() {
+    const courses = comparedCourses();
+    compareSummaryElement.textContent = courses.length === 0
+        ? "No courses chosen"
+        : `${courses.length} of ${MAX_COMPARED_COURSES} courses`;
+
+    if (courses.length < 2) {
+        const more = 2 - courses.length;
+        compareTableElement.innerHTML =
+            `<p class="hint">Choose ${more} more course${more === 1 ? "" : "s"} with "Compare" in the course details.</p>`;
+        return;
+    }
+
+    const header = courses.map(c => `
+        <th>
+            <button type="button" class="tag" data-course-id="${escapeHtml(c.id)}">${escapeHtml(c.id)}</button>
+            <button type="button" class="compare-remove" data-remove-id="${escapeHtml(c.id)}" title="Remove from comparison">×</button>
+            <div>${escapeHtml(c.title)}</div>
+        </th>`).join("");
+
+    const rows = COMPARE_FIELDS.map(field => {
+        const values = courses.map(c => compareValueText(c[field.key]));
+        const differs = new Set(values).size > 1;
+        return `<tr class="${differs ? "compare-row--differs" : ""}"><th>${field.label}</th>` +
+            values.map(v => `<td>${escapeHtml(v)}</td>`).join("") + "</tr>";
+    }).join("");
+
+    compareTableElement.innerHTML = `<table class="compare-table"><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// ====== Catalog editor ======
+// Edits go through the same schema check as an import (validateCourseRecords)
+// and are kept in catalogHistory for undo / redo and the diff view.
+
+// Form fields, in order; text is converted with fieldValueFromText (courseFormats.js)
+const EDITOR_FIELDS = [
+    { key: "id", label: "Course ID", placeholder: "CS101" },
+    { key: "title", label: "Title" },
+    { key: "department", label: "Department" },
+    { key: "level", label: "Level", placeholder: "100" },
+    { key: "credits", label: "Credits" },
+    { key: "instructor", label: "Instructor", placeholder: "Leave empty if not yet known" },
+    { key: "semester", label: "Semester", placeholder: "Fall 2025" },
+    { key: "description", label: "Description", multiline: true },
+    { key: "meetings", label: "Meetings", placeholder: "MWF 09:00–09:50 (ENG 101); R 14:00–16:50" },
+    { key: "prerequisites", label: "Prerequisites", placeholder: "CS101; MATH120" },
+    { key: "corequisites", label: "Corequisites" },
+    { key: "capacity", label: "Capacity" },
+    { key: "enrolled", label: "Enrolled" },
+];
+
+// Open the form for course `courseId`, or for a new course when it is null
+function openCourseEditor(courseId = null) {
+    const base = courseId === null ? {} : catalogHistory.current.find(r => r.id === courseId);
+    if (!base) return;
+
+    const texts = {};
+    EDITOR_FIELDS.forEach(f => {
+        texts[f.key] = fieldValueToText(base, f.key);
+    });
+    editorState = { mode: courseId === null ? "new" : "edit", replaceId: courseId, base, texts };
+    renderCourseDetails();
+}
+
+function renderCourseEditor() {
+    const { mode, replaceId, texts } = editorState;
+    const fields = EDITOR_FIELDS.map(f => {
+        const value = escapeHtml(texts[f.key]);
+        const placeholder = f.placeholder ? ` placeholder="${escapeHtml(f.placeholder)}"` : "";
+        const input = f.multiline
+            ? `<textarea name="${f.key}" rows="3"${placeholder}>${value}</textarea>`
+            : `<input type="text" name="${f.key}" value="${value}"${placeholder}>`;
+        return `<label>${f.label}${input}</label>`;
+    }).join("");
+
+    courseDetailsElement.innerHTML = `
+        <form class="course-editor">
+            <h3>${mode === "new" ? "New course" : `Edit ${escapeHtml(replaceId)}`}</h3>
+            ${fields}
+            <ul class="import-errors editor-errors"></ul>
+            <button type="submit">Save</button>
+            <button type="button" class="editor-cancel">Cancel</button>
+        </form>
+    `;
+
+    const form = courseDetailsElement.querySelector(".course-editor");
+    form.addEventListener("input", (event) => {
+        if (event.target.name) editorState.texts[event.target.name] = event.target.value;
+    });
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        saveCourseEditor();
+    });
+    form.querySelector(".editor-cancel").addEventListener("click", () => {
+        editorState = null;
+        renderCourseDetails();
+    });
+}
+
+// The form as a record: the original record with every form field applied
+function editorRecord() {
+    const record = { ...editorState.base };
+    EDITOR_FIELDS.forEach(f => {
+        const value = fieldValueFromText(f.key, editorState.texts[f.key]);
+        if (value === undefined) delete record[f.key];
+        else record[f.key] = value;
+    });
+    return record;
+}
+
+function saveCourseEditor() {
+    const { mode, replaceId } = editorState;
+    const record = editorRecord();
+    const records = upsertCourseRecord(catalogHistory.current, record, replaceId);
+
+    const report = validateCourseRecords(records);
+    if (report.errors.length > 0) {
+        const errorsElement = courseDetailsElement.querySelector(".editor-errors");
+        errorsElement.innerHTML = "";
+        report.errors.forEach(error => {
+            const li = document.createElement("li");
+            const about = error.id && error.id !== record.id ? `${error.id} ` : "";
+            li.textContent = `${about}${error.field || "record"} ${error.message}`;
+            errorsElement.appendChild(li);
+        });
+        setStatus("The course was not saved: fix the problems listed in the form.", true);
+        return;
+    }
+
+    editorState = null;
+    const label = mode === "new" ? `Add ${record.id}` : `Edit ${replaceId}`;
+    commitCatalogEdit(label, records, record.id);
+}
+
+// Copy a course under a free ID and open the copy in the form
+function duplicateCourse(courseId) {
+    const { records, record } = duplicateCourseRecord(catalogHistory.current, courseId);
+    if (!record) return;
+    commitCatalogEdit(`Duplicate ${courseId} as ${record.id}`, records, record.id);
+    openCourseEditor(record.id);
+}
+
+function deleteCourse(courseId) {
+    commitCatalogEdit(`Delete ${courseId}`, removeCourseRecord(catalogHistory.current, courseId), null);
+}
+
+function commitCatalogEdit(label, records, selectId) {
+    catalogHistory.push(label, records);
+    showCatalog(records, selectId);
+    setStatus(`${label}.`);
+}
+
+function undoCatalogEdit() {
+    const label = catalogHistory.undo();
+    if (label === null) return;
+    editorState = null;
+    showCatalog(catalogHistory.current, selectedCourse ? selectedCourse.id : null);
+    setStatus(`Undid: ${label}.`);
+}
+
+function redoCatalogEdit() {
+    const label = catalogHistory.redo();
+    if (label === null) return;
+    editorState = null;
+    showCatalog(catalogHistory.current, selectedCourse ? selectedCourse.id : null);
+    setStatus(`Redid: ${label}.`);
+}
+
+// Show an edited catalog, keeping the filters, sort, pathway target and (if it still exists) selection
+function showCatalog(records, selectId) {
+    const state = currentExplorerState();
+    const pathwayTarget = pathwayTargetSelect.value;
+
+    allCourses = records.map(obj => new Course(obj));
+    indexCatalog();
+    initFilterOptions(allCourses);
+    prerequisiteGraph = buildPrerequisiteGraph(allCourses);
+    initPathwayTargets(allCourses);
+    pathwayTargetSelect.value = pathwayTarget;
+
+    dataSource = null; // an edited catalog can't be reloaded from the URL
+    rememberCatalog(records, null);
+    applyExplorerState({ ...state, course: selectId || "" });
+    if (selectedCourse) renderCourseDetails(); // even if the filters hide it
+    renderPlan();
+    renderPathway();
+    renderComparison();
+    renderEditorToolbar();
+    renderDiff();
+    syncUrl("replace");
+}
+
+function renderEditorToolbar() {
+    undoBtn.disabled = !catalogHistory.canUndo;
+    redoBtn.disabled = !catalogHistory.canRedo;
+    undoBtn.title = catalogHistory.undoLabel ? `Undo: ${catalogHistory.undoLabel}` : "";
+    redoBtn.title = catalogHistory.redoLabel ? `Redo: ${catalogHistory.redoLabel}` : "";
+    downloadCatalogBtn.disabled = catalogHistory.current.length === 0;
+}
+
+// A field value in the diff view
+function diffValueText(field, value) {
+    return fieldValueToText({ [field]: value }, field) || "(empty)";
+}
+
+/**
+ * List what changed since the catalog was loaded: added, removed and changed
+ * courses, with the old and new value of every changed field.
+ */
+function renderDiff() {
+    const diff = diffCatalogs(catalogHistory.original, catalogHistory.current);
+    const count = diff.added.length + diff.removed.length + diff.changed.length;
+    showDiffBtn.textContent = diffViewElement.hidden ? `Show changes (${count})` : "Hide changes";
+    if (diffViewElement.hidden) return;
+
+    if (count === 0) {
+        diffViewElement.innerHTML = "<p>No changes since the catalog was loaded.</p>";
+        return;
+    }
+
+    const section = (title, items) =>
+        items.length === 0 ? "" : `<h4>${title}</h4><ul>${items.map(item => `<li>${item}</li>`).join("")}</ul>`;
+
+    diffViewElement.innerHTML =
+        section("Added", diff.added.map(r => `<ins>${escapeHtml(r.id)} – ${escapeHtml(r.title)}</ins>`)) +
+        section("Removed", diff.removed.map(r => `<del>${escapeHtml(r.id)} – ${escapeHtml(r.title)}</del>`)) +
+        section("Changed", diff.changed.map(c =>
+            `<strong>${escapeHtml(c.id)}</strong><ul>` +
+            c.changes.map(ch =>
+                `<li>${escapeHtml(ch.field)}: <del>${escapeHtml(diffValueText(ch.field, ch.before))}</del> → ` +
+                `<ins>${escapeHtml(diffValueText(ch.field, ch.after))}</ins></li>`
+            ).join("") +
+            "</ul>"
+        ));
+}
+
+function downloadCatalog() {
+    downloadText(JSON.stringify(catalogHistory.current, null, 2) + "\n", "courses.json", "application/json");
+    setStatus(`Downloaded the catalog (${catalogHistory.current.length} courses).`);
+}
+
+// ====== Stored catalogs ======
+// The last catalog shown is kept in IndexedDB (catalogStore.js) and reopened
+// on the next visit, along with the remembered filters and sort.
+
+function rememberCatalog(records, source) {
+    saveLastCatalog(records, source).catch(err => console.error(err));
+}
+
+/**
+ * On page load: a link's data source (?src=...) is loaded as before; otherwise
+ * the last catalog is reopened, with the link's filters if it has any or else
+ * the remembered ones.
+ */
+async function restoreSession() {
+    const urlState = readStateFromUrl();
+    if (urlState.src) {
+        restoreStateFromUrl();
+        return;
+    }
+
+    let saved = null;
+    try {
+        saved = await loadLastCatalog();
+    } catch (err) {
+        console.error(err);
+    }
+    if (!saved || saved.records.length === 0) return;
+
+    const fromLink = URL_STATE_KEYS.some(key => urlState[key]);
+    pendingUrlState = fromLink ? urlState : { ...urlState, ...loadPreferences() };
+    loadCourseRecords(saved.records, `Reopened the last catalog (${saved.records.length} courses).`, saved.source);
+}
+
+async function renderSavedCatalogs() {
+    let catalogs = [];
+    try {
+        catalogs = await listNamedCatalogs();
+    } catch (err) {
+        console.error(err);
+    }
+
+    savedCatalogSelect.innerHTML = "";
+    catalogs.forEach(catalog => {
+        const opt = document.createElement("option");
+        opt.value = catalog.name;
+        opt.textContent = `${catalog.name} (${catalog.count} courses, ${new Date(catalog.savedAt).toLocaleDateString()})`;
+        savedCatalogSelect.appendChild(opt);
+    });
+    if (catalogs.length === 0) {
+        savedCatalogSelect.innerHTML = '<option value="">No saved catalogs</option>';
+    }
+    openCatalogBtn.disabled = catalogs.length === 0;
+    deleteCatalogBtn.disabled = catalogs.length === 0;
+}
+
+async function saveCurrentCatalog() {
+    const name = catalogNameInput.value.trim();
+    if (!name) {
+        setStatus("Enter a name to save the catalog under.", true);
+        return;
+    }
+    if (catalogHistory.current.length === 0) {
+        setStatus("Load or add some courses before saving a catalog.", true);
+        return;
+    }
+
+    try {
+        await saveNamedCatalog(name, catalogHistory.current, dataSource);
+        catalogNameInput.value = "";
+        await renderSavedCatalogs();
+        savedCatalogSelect.value = name;
+        setStatus(`Saved "${name}" (${catalogHistory.current.length} courses).`);
+    } catch (err) {
+        console.error(err);
+        setStatus(`Could not save the catalog: ${err.message}`, true);
+    }
+}
+
+async function openSavedCatalog(name) {
+    try {
+        const saved = await loadNamedCatalog(name);
+        if (!saved) {
+            setStatus(`There is no saved catalog "${name}".`, true);
+            return;
+        }
+        loadCourseRecords(saved.records, `Opened "${name}" (${saved.records.length} courses).`, saved.source);
+    } catch (err) {
+        console.error(err);
+        setStatus(`Could not open "${name}": ${err.message}`, true);
+    }
+}
+
+async function deleteSavedCatalog(name) {
+    try {
+        await deleteNamedCatalog(name);
+        await renderSavedCatalogs();
+        setStatus(`Deleted the saved catalog "${name}".`);
+    } catch (err) {
+        console.error(err);
+        setStatus(`Could not delete "${name}": ${err.message}`, true);
+    }
+}
+
+async function clearAllStoredData() {
+    if (!confirm("Delete all saved catalogs, the remembered filters, favorites and notes, and the offline copy of this page (with its service worker)?")) return;
+
+    // Forget them on the page too, or the next star or note would save them all again
+    favoriteCourseIds = [];
+    courseNotes = {};
+    if (filterWorker) filterWorker.postMessage({ type: "notes", notes: courseNotes });
+    applyFiltersAndRender();
+    if (selectedCourse) renderCourseDetails(); // even if the filters hide it
+
+    try {
+        await clearStoredData();
+        await renderSavedCatalogs();
+        setStatus("Stored catalogs, preferences and offline files were cleared, and the service worker was removed.");
+    } catch (err) {
+        console.error(err);
+        setStatus(`Could not clear stored data: ${err.message}`, true);
+    }
 }
 
 // ====== Event wiring ======
 function setupEventListeners() {
-    loadDefaultBtn.addEventListener("click", loadDefaultCourses);
+    loadDefaultBtn.addEventListener("click", () => loadDefaultCourses(mergeCheckbox.checked));
+    loadUrlBtn.addEventListener("click", () => loadCoursesFromUrl(urlInput.value.trim(), mergeCheckbox.checked));
+    urlInput.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") loadCoursesFromUrl(urlInput.value.trim(), mergeCheckbox.checked);
+    });
+    loadValidBtn.addEventListener("click", loadValidRecords);
 
     fileInput.addEventListener("change", (event) => {
-        const file = event.target.files[0];
-        loadCoursesFromFile(file);
+        loadCoursesFromFiles(event.target.files, mergeCheckbox.checked);
+    });
+
+    exportCsvBtn.addEventListener("click", () => exportCurrentCourses("csv"));
+    exportJsonBtn.addEventListener("click", () => exportCurrentCourses("json"));
+
+    saveCatalogBtn.addEventListener("click", saveCurrentCatalog);
+    openCatalogBtn.addEventListener("click", () => openSavedCatalog(savedCatalogSelect.value));
+    deleteCatalogBtn.addEventListener("click", () => deleteSavedCatalog(savedCatalogSelect.value));
+    clearStorageBtn.addEventListener("click", clearAllStoredData);
+
+    newCourseBtn.addEventListener("click", () => openCourseEditor(null));
+    undoBtn.addEventListener("click", undoCatalogEdit);
+    redoBtn.addEventListener("click", redoCatalogEdit);
+    downloadCatalogBtn.addEventListener("click", downloadCatalog);
+    showDiffBtn.addEventListener("click", () => {
+        diffViewElement.hidden = !diffViewElement.hidden;
+        renderDiff();
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y, except while typing in a field
+    document.addEventListener("keydown", (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.target.closest("input, textarea, select")) return;
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) undoCatalogEdit();
+        else if (key === "y" || (key === "z" && event.shiftKey)) redoCatalogEdit();
+        else return;
+        event.preventDefault();
     });
 
-    departmentFilter.addEventListener("change", applyFiltersAndRender);
-    levelFilter.addEventListener("change", applyFiltersAndRender);
-    creditsFilter.addEventListener("change", applyFiltersAndRender);
-    sortSelect.addEventListener("change", applyFiltersAndRender);
+    departmentFilter.addEventListener("change", onFiltersChanged);
+    levelFilter.addEventListener("change", onFiltersChanged);
+    creditsFilter.addEventListener("change", onFiltersChanged);
+    favoritesOnlyCheckbox.addEventListener("change", onFiltersChanged);
+    sortSelect.addEventListener("change", onFiltersChanged);
 
+    // filter once typing pauses, not on every keystroke
     searchInput.addEventListener("input", () => {
-        applyFiltersAndRender();
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+    });
+    searchInput.addEventListener("change", () => {
+        if (searchTimer) runSearch();
+        typingSearch = false;
+    });
+
+    // one listener for all rows, which come and go as the list scrolls
+    courseListElement.addEventListener("click", (event) => {
+        const item = event.target.closest(".course-item[data-index]");
+        if (!item) return;
+        const course = currentCourses[Number(item.dataset.index)];
+
+        if (event.target.closest(".course-item__star")) {
+            toggleFavorite(course.id); // starring doesn't select the course
+            return;
+        }
+        selectedCourse = course;
+        editorState = null;
+        renderCourseDetails();
+        syncUrl("push");
     });
+    courseListElement.addEventListener("scroll", scheduleVisibleCourses);
+    window.addEventListener("resize", scheduleVisibleCourses);
 
     resetFiltersBtn.addEventListener("click", () => {
         departmentFilter.value = "";
         levelFilter.value = "";
         creditsFilter.value = "";
+        favoritesOnlyCheckbox.checked = false;
         searchInput.value = "";
-        sortSelect.value = "title-asc";
-        applyFiltersAndRender();
+        sortSelect.value = "relevance";
+        onFiltersChanged();
+    });
+
+    maxCreditsInput.addEventListener("input", renderPlan);
+    calendarSemesterSelect.addEventListener("change", renderPlan);
+    pathwayTargetSelect.addEventListener("change", renderPathway);
+    compareTableElement.addEventListener("click", (event) => {
+        const remove = event.target.closest("[data-remove-id]");
+        const tag = event.target.closest("[data-course-id]");
+        if (remove) toggleCompared(remove.dataset.removeId);
+        else if (tag) selectCourseById(tag.dataset.courseId);
+    });
+
+    // back / forward
+    window.addEventListener("popstate", () => {
+        typingSearch = false;
+        restoreStateFromUrl();
     });
 }
 
 // ====== Init ======
 setupEventListeners();
-// Note: we do NOT auto-load courses.json on page load, so the
-// instructor can see the "no data" state if they want.
+// Note: we do NOT auto-load courses.json on a first visit, so the
+// instructor can see the "no data" state if they want. A shared link
+// (?src=default...) does load it, straight into the view it describes,
+// and a later visit reopens the last catalog shown.
 setStatus("Please load a course JSON file to begin.");
+renderEditorToolbar();
+renderDiff();
+renderSavedCatalogs();
+renderComparison();
+restoreSession();
+
+// Offline copy of the page (sw.js); needs http(s), not file://
+if ("serviceWorker" in navigator && window.location.protocol.startsWith("http")) {
+    navigator.serviceWorker.register("sw.js").catch(err => console.error(err));
+}
@@ -0,0 +1,71 @@
+// ====== Offline cache (service worker) ======
+// Keeps a copy of the page, its scripts and the default courses.json so the
+// explorer opens without a network. Files are served from the cache straight
+// away and refreshed in the background, so a change shows on the next visit.
+// Catalogs the user loaded are kept in IndexedDB (catalogStore.js), not here.
+
+const CACHE_NAME = "course-explorer-v2";
+
+// Keep in step with the <script> tags in index.html (and the worker's importScripts)
+const APP_FILES = [
+    "./",
+    "index.html",
+    "styles.css",
+    "courseQuery.js",
+    "courseIndex.js",
+    "courseFilterWorker.js",
+    "schedulePlanner.js",
+    "prerequisiteGraph.js",
+    "courseSchema.js",
+    "courseFormats.js",
+    "catalogEditor.js",
+    "catalogStore.js",
+    "script.js",
+    "courses.json",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by older versions of this file
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    // Only this site's files; catalogs loaded from other sites always go to the network
+    if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    // one copy per file: ?dept=...&q=... only matters to the page's script
+    const key = url.origin + url.pathname;
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async cache => {
+            const cached = await cache.match(key);
+            const refresh = fetch(event.request)
+                .then(response => {
+                    if (response.ok) cache.put(key, response.clone());
+                    return response;
+                })
+                .catch(err => {
+                    if (cached) return cached;
+                    throw err;
+                });
+
+            if (cached) {
+                event.waitUntil(refresh.catch(() => {}));
+                return cached;
+            }
+            return refresh;
+        })
+    );
+});